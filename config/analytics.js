@@ -0,0 +1,32 @@
+// Page view analytics settings.
+//
+// ANALYTICS_DEDUP_MINUTES         window in which repeat views of a page by the same visitor count once (default 30)
+// ANALYTICS_HOURLY_RETENTION_DAYS how long hourly buckets are kept; daily buckets are kept forever (default 90)
+// ANALYTICS_COUNTRY_HEADERS       comma-separated request headers carrying the visitor's country code, checked in order
+//                                 (default "x-vercel-ip-country,cf-ipcountry,cloudfront-viewer-country")
+// ANALYTICS_SALT                  secret mixed into visitor hashes (defaults to JWT_SECRET)
+//
+// Visitors are identified by a salted hash of IP address and user agent, so no
+// cookies are set and no raw IP addresses are stored.
+
+// Read on first use, after dotenv has run
+let config;
+
+const DEFAULT_COUNTRY_HEADERS = 'x-vercel-ip-country,cf-ipcountry,cloudfront-viewer-country';
+
+export const getAnalyticsConfig = () => {
+  if (config) {
+    return config;
+  }
+
+  config = {
+    dedupMinutes: parseInt(process.env.ANALYTICS_DEDUP_MINUTES) || 30,
+    hourlyRetentionDays: parseInt(process.env.ANALYTICS_HOURLY_RETENTION_DAYS) || 90,
+    countryHeaders: (process.env.ANALYTICS_COUNTRY_HEADERS || DEFAULT_COUNTRY_HEADERS)
+      .split(',')
+      .map(header => header.trim().toLowerCase())
+      .filter(Boolean),
+    salt: process.env.ANALYTICS_SALT || process.env.JWT_SECRET || 'your-secret-key-change-in-production'
+  };
+  return config;
+};
@@ -0,0 +1,38 @@
+// HTTP caching of public read routes.
+//
+// CACHE_MAX_AGE                 seconds browsers may reuse a response without asking again (default 60)
+// CACHE_S_MAXAGE                seconds CDNs may reuse a response (default 300)
+// CACHE_STALE_WHILE_REVALIDATE  seconds a stale response may be served while it is refreshed (default 60)
+// CACHE_PURGER                  how CDN copies are purged when content changes: "none", "webhook" or "fastly" (default "none")
+// CACHE_PURGE_URL               webhook purger: URL that receives POST { keys: [...] }
+// CACHE_PURGE_TOKEN             webhook purger: bearer token; fastly purger: API token
+// FASTLY_SERVICE_ID             fastly purger: service to purge
+//
+// Responses carry a Surrogate-Key header listing what they were built from
+// (e.g. "pages page-<id> page-<parentId>"); the purger is given the keys of
+// every document that changes.
+
+// Read on first use, after dotenv has run
+let config;
+
+const seconds = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const getCacheConfig = () => {
+  if (config) {
+    return config;
+  }
+
+  config = {
+    maxAge: seconds(process.env.CACHE_MAX_AGE, 60),
+    sMaxAge: seconds(process.env.CACHE_S_MAXAGE, 300),
+    staleWhileRevalidate: seconds(process.env.CACHE_STALE_WHILE_REVALIDATE, 60),
+    purger: (process.env.CACHE_PURGER || 'none').trim().toLowerCase(),
+    purgeUrl: process.env.CACHE_PURGE_URL,
+    purgeToken: process.env.CACHE_PURGE_TOKEN,
+    fastlyServiceId: process.env.FASTLY_SERVICE_ID
+  };
+  return config;
+};
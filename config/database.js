@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 
+// Queries and saves made inside runInTransaction join its session without
+// having to pass { session } through every helper they call
+mongoose.set('transactionAsyncLocalStorage', true);
+
 const connectDB = async () => {
   try {
     console.log('Attempting to connect to MongoDB...');
@@ -40,4 +44,23 @@ const connectDB = async () => {
   }
 };
 
-export default connectDB;
\ No newline at end of file
+// Run fn(session) inside a transaction. Standalone MongoDB servers (local dev)
+// have no transaction support, so there fn runs once without a session.
+export const runInTransaction = async (fn) => {
+  // Nested calls join the transaction already running
+  const active = mongoose.transactionAsyncLocalStorage?.getStore()?.session;
+  if (active) {
+    return fn(active);
+  }
+
+  try {
+    return await mongoose.connection.transaction(fn);
+  } catch (error) {
+    if (error.code === 20 || error.codeName === 'IllegalOperation') {
+      return fn(null);
+    }
+    throw error;
+  }
+};
+
+export default connectDB;
@@ -0,0 +1,24 @@
+// Link audit settings.
+//
+// LINK_AUDIT_FETCHER      how external URLs and Cloudinary assets are checked: "http" requests them,
+//                         "offline" leaves them unchecked so audits run without network access (default "http")
+// LINK_AUDIT_TIMEOUT_MS   per-request timeout for the http fetcher (default 5000)
+// LINK_AUDIT_CONCURRENCY  how many URLs the http fetcher checks at once (default 4)
+//
+// Internal links are always checked against the database.
+
+// Read on first use, after dotenv has run
+let config;
+
+export const getLinkAuditConfig = () => {
+  if (config) {
+    return config;
+  }
+
+  config = {
+    fetcher: (process.env.LINK_AUDIT_FETCHER || 'http').trim().toLowerCase(),
+    timeoutMs: parseInt(process.env.LINK_AUDIT_TIMEOUT_MS) || 5000,
+    concurrency: parseInt(process.env.LINK_AUDIT_CONCURRENCY) || 4
+  };
+  return config;
+};
@@ -0,0 +1,40 @@
+// Locale settings for localized page variants.
+//
+// DEFAULT_LOCALE     locale of pages created without one (default "en")
+// SUPPORTED_LOCALES  comma-separated locales editors may publish in, e.g. "en,fr,de,pt-br"
+// LOCALE_FALLBACKS   per-locale fallback chains, e.g. "pt-br:pt,es;fr-ca:fr"
+//
+// A requested locale falls back through its configured chain, then its base
+// language ("fr-ca" -> "fr"), then DEFAULT_LOCALE.
+
+// Read on first use, after dotenv has run
+let config;
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+export const getLocaleConfig = () => {
+  if (config) {
+    return config;
+  }
+
+  const defaultLocale = (process.env.DEFAULT_LOCALE || 'en').toLowerCase();
+  const supported = parseList(process.env.SUPPORTED_LOCALES);
+
+  const fallbacks = {};
+  for (const entry of (process.env.LOCALE_FALLBACKS || '').split(';')) {
+    const [locale, chain] = entry.split(':');
+    if (locale && chain) {
+      fallbacks[locale.trim().toLowerCase()] = parseList(chain);
+    }
+  }
+
+  config = {
+    defaultLocale,
+    supportedLocales: supported.length > 0 ? [...new Set([defaultLocale, ...supported])] : [defaultLocale],
+    fallbacks
+  };
+  return config;
+};
@@ -0,0 +1,163 @@
+// Allow-lists for page content, per editor type.
+//
+// Each deployment can extend them with the SANITIZE_ALLOWLIST environment
+// variable, a JSON object keyed by editor type (or "*" for every editor), e.g.
+// SANITIZE_ALLOWLIST='{"*":{"allowedTags":["iframe"],"allowedIframeHostnames":["open.spotify.com"]}}'
+// Entries are added to the built-in lists below, never replace them.
+
+const COLOR = [/^#(0x)?[0-9a-f]+$/i, /^rgba?\([\d\s.,%]+\)$/i, /^[a-z]+$/i];
+const LENGTH = [/^-?\d+(\.\d+)?(px|em|rem|%|pt)?$/i];
+
+// Headings keep the anchor ids added on save (utils/contentStats.js)
+const HEADING_ANCHORS = Object.fromEntries(['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map(tag => [tag, ['id']]));
+
+const VIDEO_HOSTNAMES = [
+  'www.youtube.com',
+  'www.youtube-nocookie.com',
+  'player.vimeo.com',
+  'www.dailymotion.com'
+];
+
+const quill = {
+  allowedTags: [
+    'p', 'br', 'strong', 'em', 'u', 's', 'a', 'span', 'sub', 'sup',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+    'ol', 'ul', 'li', 'img', 'iframe'
+  ],
+  allowedAttributes: {
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    iframe: ['src', 'frameborder', 'allowfullscreen'],
+    li: ['data-list'],
+    pre: ['spellcheck'],
+    ...HEADING_ANCHORS,
+    '*': ['class', 'style']
+  },
+  allowedClasses: {
+    '*': ['ql-align-*', 'ql-indent-*', 'ql-size-*', 'ql-font-*', 'ql-direction-rtl', 'ql-syntax', 'ql-video', 'ql-image', 'ql-code-block*']
+  },
+  allowedStyles: {
+    '*': {
+      color: COLOR,
+      'background-color': COLOR
+    }
+  },
+  allowedIframeHostnames: VIDEO_HOSTNAMES
+};
+
+const summernote = {
+  allowedTags: [
+    'p', 'div', 'span', 'br', 'hr', 'b', 'strong', 'i', 'em', 'u', 'strike', 's', 'sub', 'sup', 'font',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+    'ol', 'ul', 'li', 'a', 'img', 'iframe',
+    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'colgroup', 'col'
+  ],
+  allowedAttributes: {
+    a: ['href', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height', 'data-filename'],
+    iframe: ['src', 'width', 'height', 'frameborder', 'allowfullscreen'],
+    font: ['color', 'face', 'size'],
+    table: ['border', 'cellpadding', 'cellspacing'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan'],
+    col: ['span'],
+    ...HEADING_ANCHORS,
+    '*': ['class', 'style']
+  },
+  allowedClasses: {
+    '*': ['note-*', 'table', 'table-bordered', 'pull-left', 'pull-right', 'img-fluid']
+  },
+  allowedStyles: {
+    '*': {
+      color: COLOR,
+      'background-color': COLOR,
+      'text-align': [/^(left|right|center|justify)$/],
+      'font-size': LENGTH,
+      'font-family': [/^[\w\s,'"-]+$/],
+      'font-weight': [/^(normal|bold|bolder|lighter|\d{3})$/],
+      'font-style': [/^(normal|italic)$/],
+      'text-decoration': [/^[a-z\s-]+$/],
+      'line-height': LENGTH,
+      width: LENGTH,
+      height: LENGTH,
+      float: [/^(left|right|none)$/],
+      margin: [/^[\d\s.a-z%-]+$/i],
+      'margin-left': LENGTH,
+      'margin-right': LENGTH,
+      'padding-left': LENGTH
+    }
+  },
+  allowedIframeHostnames: VIDEO_HOSTNAMES
+};
+
+const BASE_OPTIONS = {
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  // Summernote inlines pasted images as data URIs
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  allowProtocolRelative: false,
+  disallowedTagsMode: 'discard'
+};
+
+const EDITOR_ALLOWLISTS = { quill, summernote };
+
+// Parse the deployment overrides on first use (after dotenv has run);
+// a malformed value is reported and ignored
+let overrides;
+const loadOverrides = () => {
+  if (overrides) {
+    return overrides;
+  }
+  overrides = {};
+  if (process.env.SANITIZE_ALLOWLIST) {
+    try {
+      overrides = JSON.parse(process.env.SANITIZE_ALLOWLIST);
+    } catch (error) {
+      console.error('Ignoring invalid SANITIZE_ALLOWLIST:', error.message);
+    }
+  }
+  return overrides;
+};
+
+const mergeAllowlist = (base, extra = {}) => {
+  const merged = { ...base };
+
+  if (extra.allowedTags) {
+    merged.allowedTags = [...new Set([...base.allowedTags, ...extra.allowedTags])];
+  }
+  if (extra.allowedIframeHostnames) {
+    merged.allowedIframeHostnames = [...new Set([...base.allowedIframeHostnames, ...extra.allowedIframeHostnames])];
+  }
+  for (const key of ['allowedAttributes', 'allowedClasses']) {
+    if (extra[key]) {
+      merged[key] = { ...base[key] };
+      for (const [tag, values] of Object.entries(extra[key])) {
+        merged[key][tag] = [...new Set([...(base[key][tag] || []), ...values])];
+      }
+    }
+  }
+  if (extra.allowedStyles) {
+    // Overrides come from JSON, so style patterns are given as regex source strings;
+    // a value matching any pattern, built-in or added, is kept
+    merged.allowedStyles = { ...base.allowedStyles };
+    for (const [tag, properties] of Object.entries(extra.allowedStyles)) {
+      merged.allowedStyles[tag] = { ...(base.allowedStyles[tag] || {}) };
+      for (const [property, patterns] of Object.entries(properties)) {
+        merged.allowedStyles[tag][property] = [
+          ...(merged.allowedStyles[tag][property] || []),
+          ...[].concat(patterns).map(pattern => new RegExp(pattern, 'i'))
+        ];
+      }
+    }
+  }
+
+  return merged;
+};
+
+// Build the sanitize-html options for an editor type
+export const getSanitizeOptions = (editorType) => {
+  const { '*': shared, [editorType]: perEditor } = loadOverrides();
+  const base = EDITOR_ALLOWLISTS[editorType] || EDITOR_ALLOWLISTS.summernote;
+  const allowlist = mergeAllowlist(mergeAllowlist(base, shared), perEditor);
+
+  return { ...BASE_OPTIONS, ...allowlist };
+};
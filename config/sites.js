@@ -0,0 +1,58 @@
+// Public sites that render pages, used to build absolute URLs in sitemaps and feeds.
+//
+// SITES overrides the defaults with a JSON array, e.g.
+// SITES='[{"key":"techodio","title":"Techodio","baseUrl":"https://techodio.daorbit.in","groups":["podcasts"]}]'
+//   key       identifier used in feed URLs (/api/feeds/:site/...)
+//   baseUrl   origin the site is served from
+//   pagePath  URL pattern for a page on the site; {path} and {slug} are substituted (default "/{path}")
+//   groups    optional group slugs; when set only pages in one of them belong to the site
+
+const DEFAULT_SITES = [
+  {
+    key: 'techodio',
+    title: 'Techodio',
+    baseUrl: 'https://techodio.daorbit.in'
+  },
+  {
+    key: 'cms',
+    title: 'DA Orbit CMS',
+    baseUrl: 'https://cms.daorbit.in'
+  }
+];
+
+// Read on first use, after dotenv has run
+let sites;
+
+export const getSites = () => {
+  if (sites) {
+    return sites;
+  }
+
+  let configured = DEFAULT_SITES;
+  if (process.env.SITES) {
+    try {
+      configured = JSON.parse(process.env.SITES);
+    } catch (error) {
+      console.error('Ignoring invalid SITES:', error.message);
+    }
+  }
+
+  sites = configured.map(site => ({
+    pagePath: '/{path}',
+    groups: [],
+    description: '',
+    ...site,
+    baseUrl: site.baseUrl.replace(/\/+$/, '')
+  }));
+  return sites;
+};
+
+export const findSite = (key) => getSites().find(site => site.key === key) || null;
+
+// Absolute URL of a page on a site
+export const pageUrl = (site, page) => {
+  const path = site.pagePath
+    .replace('{path}', page.path || page.slug)
+    .replace('{slug}', page.slug);
+  return `${site.baseUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+};
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import { toSlug } from './Page.js';
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Pages reference groups by slug
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Slug cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  coverImageUrl: {
+    type: String,
+    trim: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Generate slug from name if not provided, and keep it properly formatted
+groupSchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = this.name;
+  }
+  if (this.slug) {
+    this.slug = toSlug(this.slug);
+  }
+  next();
+});
+
+// Return the slugs from the list that do not belong to any group
+groupSchema.statics.findUnknownSlugs = async function(slugs) {
+  const groups = await this.find({ slug: { $in: slugs } }).select('slug');
+  const known = new Set(groups.map(group => group.slug));
+  return slugs.filter(slug => !known.has(slug));
+};
+
+// Index for better query performance
+// Note: name and slug indexes are already created by 'unique: true' in schema
+groupSchema.index({ order: 1, name: 1 });
+
+const Group = mongoose.model('Group', groupSchema);
+
+export default Group;
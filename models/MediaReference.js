@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { MEDIA_EXTRACTORS, MEDIA_SOURCE_TYPES, parseCloudinaryUrl } from '../utils/media.js';
+
+// One use of a media URL by a page, track or playlist. Cloudinary URLs are also
+// keyed by public ID, so every transformation of an asset maps to the same entry.
+const mediaReferenceSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required']
+  },
+  publicId: {
+    type: String
+  },
+  resourceType: {
+    type: String,
+    enum: ['image', 'video', 'raw']
+  },
+  sourceType: {
+    type: String,
+    enum: MEDIA_SOURCE_TYPES,
+    required: [true, 'Source type is required']
+  },
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'sourceType',
+    required: [true, 'Source is required']
+  },
+  field: {
+    type: String,
+    required: [true, 'Field is required']
+  }
+});
+
+// Replace the references recorded for a document with the ones it has now
+mediaReferenceSchema.statics.syncFor = async function(sourceType, doc) {
+  const seen = new Set();
+  const references = [];
+
+  for (const { url, field } of MEDIA_EXTRACTORS[sourceType](doc)) {
+    if (seen.has(`${field} ${url}`)) {
+      continue;
+    }
+    seen.add(`${field} ${url}`);
+    references.push({ url, field, sourceType, source: doc._id, ...parseCloudinaryUrl(url) });
+  }
+
+  await this.deleteMany({ sourceType, source: doc._id });
+  if (references.length > 0) {
+    await this.insertMany(references);
+  }
+};
+
+// Rebuild the whole index from the documents themselves, trashed ones included
+mediaReferenceSchema.statics.syncAll = async function() {
+  for (const sourceType of MEDIA_SOURCE_TYPES) {
+    const ids = [];
+    for await (const doc of mongoose.model(sourceType).find().withTrashed().cursor()) {
+      await this.syncFor(sourceType, doc);
+      ids.push(doc._id);
+    }
+    await this.deleteMany({ sourceType, source: { $nin: ids } });
+  }
+};
+
+// Documents saved before the index existed are picked up by a full rebuild the
+// first time the server starts with an empty index (server.js). Gaps left by an
+// interrupted rebuild are filled with POST /api/media/reindex.
+mediaReferenceSchema.statics.backfill = async function() {
+  if (await this.exists({})) {
+    return;
+  }
+  await this.syncAll();
+};
+
+// Everything that uses an asset, given a Cloudinary public ID or a plain URL
+mediaReferenceSchema.statics.usageOf = async function({ publicId, resourceType, url }) {
+  const filter = publicId ? { publicId, resourceType } : { url };
+  const references = await this.find(filter).sort({ sourceType: 1, source: 1, field: 1 });
+
+  const sources = new Map();
+  for (const sourceType of MEDIA_SOURCE_TYPES) {
+    const ids = references.filter(reference => reference.sourceType === sourceType).map(reference => reference.source);
+    if (ids.length === 0) {
+      continue;
+    }
+    const docs = await mongoose.model(sourceType).find({ _id: { $in: ids } }).withTrashed().select('title slug deletedAt');
+    for (const doc of docs) {
+      sources.set(doc._id.toString(), doc);
+    }
+  }
+
+  return references.map(reference => {
+    const source = sources.get(reference.source.toString());
+    return {
+      sourceType: reference.sourceType,
+      source: {
+        _id: reference.source,
+        title: source?.title,
+        slug: source?.slug,
+        inTrash: !!source?.deletedAt
+      },
+      field: reference.field,
+      url: reference.url
+    };
+  });
+};
+
+// Index for better query performance
+mediaReferenceSchema.index({ publicId: 1, resourceType: 1 });
+mediaReferenceSchema.index({ url: 1 });
+mediaReferenceSchema.index({ sourceType: 1, source: 1 });
+
+const MediaReference = mongoose.model('MediaReference', mediaReferenceSchema);
+
+export default MediaReference;
@@ -1,5 +1,31 @@
 import mongoose from 'mongoose';
 import slugify from 'slugify';
+import { stripHtml } from '../utils/html.js';
+import { sanitizeContent } from '../utils/sanitize.js';
+import { CONTENT_STATS_FIELDS, contentStats } from '../utils/contentStats.js';
+import { deltaToHtml } from '../utils/render.js';
+import { getLocaleConfig } from '../config/locales.js';
+import softDelete from './plugins/softDelete.js';
+import mediaReferences from './plugins/mediaReferences.js';
+import versioning from './plugins/versioning.js';
+import cachePurge from './plugins/cachePurge.js';
+import SlugRedirect from './SlugRedirect.js';
+
+// Normalize a title or raw slug into the stored slug format
+export const toSlug = (value) => slugify(value, {
+  lower: true,
+  strict: true,
+  remove: /[*+~.()'"!:@]/g
+});
+
+export const EDITOR_TYPES = ['quill', 'summernote'];
+export const PAGE_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+export const OPEN_GRAPH_TYPES = ['article', 'website', 'music.song', 'music.playlist', 'video.other', 'profile'];
+export const TWITTER_CARDS = ['summary', 'summary_large_image', 'player'];
+
+// How often public reads may trigger a schedule sweep
+const SCHEDULE_SYNC_INTERVAL_MS = 60 * 1000;
+let lastScheduleSync = 0;
 
 const pageSchema = new mongoose.Schema({
   title: {
@@ -42,7 +68,7 @@ const pageSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Editor type is required'],
     enum: {
-      values: ['quill', 'summernote'],
+      values: EDITOR_TYPES,
       message: 'Editor type must be either quill or summernote'
     }
   },
@@ -57,6 +83,176 @@ const pageSchema = new mongoose.Schema({
   content: {
     type: String,
     default: ''
+  },
+  // Search and social metadata; empty values fall back to title, description and imageUrl
+  seo: {
+    metaTitle: {
+      type: String,
+      trim: true,
+      maxlength: [70, 'Meta title cannot be more than 70 characters']
+    },
+    metaDescription: {
+      type: String,
+      trim: true,
+      maxlength: [160, 'Meta description cannot be more than 160 characters']
+    },
+    canonicalUrl: {
+      type: String,
+      trim: true
+    },
+    noindex: {
+      type: Boolean,
+      default: false
+    },
+    nofollow: {
+      type: Boolean,
+      default: false
+    },
+    openGraph: {
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [95, 'Open Graph title cannot be more than 95 characters']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Open Graph description cannot be more than 200 characters']
+      },
+      image: {
+        type: String,
+        trim: true
+      },
+      type: {
+        type: String,
+        enum: {
+          values: OPEN_GRAPH_TYPES,
+          message: `Open Graph type must be one of ${OPEN_GRAPH_TYPES.join(', ')}`
+        }
+      }
+    },
+    twitter: {
+      card: {
+        type: String,
+        enum: {
+          values: TWITTER_CARDS,
+          message: `Twitter card must be one of ${TWITTER_CARDS.join(', ')}`
+        }
+      },
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [70, 'Twitter title cannot be more than 70 characters']
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Twitter description cannot be more than 200 characters']
+      },
+      image: {
+        type: String,
+        trim: true
+      },
+      site: {
+        type: String,
+        trim: true,
+        match: [/^@\w{1,15}$/, 'Twitter site must be an @handle']
+      }
+    }
+  },
+  // Optional template describing the structured data kept in fields
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PageTemplate',
+    default: null
+  },
+  fields: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Source Quill Delta for quill pages; content is rendered from it on save
+  delta: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PAGE_STATUSES,
+      message: 'Status must be one of draft, scheduled, published or archived'
+    },
+    default: 'draft'
+  },
+  publishAt: {
+    type: Date
+  },
+  unpublishAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date
+  },
+  locale: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: () => getLocaleConfig().defaultLocale
+  },
+  // Shared by every locale variant of the same page; the original page's _id
+  translationGroup: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    default: null
+  },
+  // Position among siblings, lowest first
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Parent chain from the root down; maintained together with path
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page'
+  }],
+  // Full nested URL path, e.g. docs/setup/linux
+  path: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Pages an admin pinned as "read next"; listed before computed recommendations
+  relatedPages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page'
+  }],
+  // Plain text of content for the search index, kept out of API responses
+  searchText: {
+    type: String,
+    default: '',
+    select: false
+  },
+  // Derived from content on every save (utils/contentStats.js)
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  // Estimated reading time in minutes
+  readingTime: {
+    type: Number,
+    default: 0
+  },
+  // Headings in document order; anchor is the id of the heading in content
+  outline: [{
+    _id: false,
+    level: Number,
+    text: String,
+    anchor: String
+  }],
+  // Plain-text teaser from the start of the content
+  excerpt: {
+    type: String,
+    default: ''
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
@@ -65,11 +261,7 @@ const pageSchema = new mongoose.Schema({
 // Pre-save middleware to generate slug from title if not provided
 pageSchema.pre('save', function(next) {
   if (!this.slug && this.title) {
-    this.slug = slugify(this.title, {
-      lower: true,
-      strict: true,
-      remove: /[*+~.()'"!:@]/g
-    });
+    this.slug = toSlug(this.title);
   }
   next();
 });
@@ -77,19 +269,316 @@ pageSchema.pre('save', function(next) {
 // Ensure slug is always lowercase and properly formatted
 pageSchema.pre('save', function(next) {
   if (this.slug) {
-    this.slug = slugify(this.slug, {
-      lower: true,
-      strict: true,
-      remove: /[*+~.()'"!:@]/g
-    });
+    this.slug = toSlug(this.slug);
   }
   next();
 });
 
+// Top-level pages use their slug as their path
+pageSchema.pre('save', function(next) {
+  if (!this.path || (!this.parent && this.isModified('slug'))) {
+    this.path = this.slug;
+  }
+  next();
+});
+
+// Sanitize content for its editor type and keep the search text and content
+// stats in step with it
+pageSchema.pre('save', function(next) {
+  // The Delta is only kept for quill pages, and only while content is rendered from it
+  const deltaWritten = this.delta && (this.isModified('delta') || this.isNew);
+  if (this.editorType !== 'quill' || (this.isModified('content') && !deltaWritten)) {
+    if (this.delta) {
+      this.delta = undefined;
+    }
+  } else if (deltaWritten) {
+    this.content = deltaToHtml(this.delta);
+  }
+  if (this.isModified('content') || this.isModified('editorType') || this.isNew) {
+    const { content, ...stats } = contentStats(sanitizeContent(this.content, this.editorType));
+    this.set({ content, ...stats });
+    this.searchText = stripHtml(content);
+  }
+  next();
+});
+
+pageSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+
+  // Content stats are only ever derived from content
+  for (const field of CONTENT_STATS_FIELDS) {
+    delete update[field];
+    delete update.$set?.[field];
+  }
+
+  const delta = update.delta !== undefined ? update.delta : update.$set?.delta;
+  let content = update.content !== undefined ? update.content : update.$set?.content;
+  let editorType = update.editorType || update.$set?.editorType;
+  if (content === undefined && !delta && !editorType) {
+    return;
+  }
+
+  if (!editorType) {
+    const current = await this.model.findOne(this.getQuery()).select('editorType');
+    editorType = current?.editorType;
+  }
+
+  // Same rule as on save: a Delta only stays with a quill page whose content comes from it
+  if (editorType !== 'quill' || (content !== undefined && !delta)) {
+    delete update.delta;
+    delete update.$set?.delta;
+    update.$unset = { ...update.$unset, delta: 1 };
+  }
+
+  if (delta && editorType === 'quill') {
+    content = deltaToHtml(delta);
+  }
+  if (content === undefined) {
+    return;
+  }
+
+  const { content: sanitized, ...stats } = contentStats(sanitizeContent(content, editorType));
+  this.set({ content: sanitized, ...stats });
+  this.set('searchText', stripHtml(sanitized));
+});
+
+// A page starts its own translation group; validate the publishing window and
+// keep publishedAt in step with status
+pageSchema.pre('validate', function(next) {
+  if (!this.translationGroup) {
+    this.translationGroup = this._id;
+  }
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Publish date is required for scheduled pages');
+  }
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'Unpublish date must be after publish date');
+  }
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
+
+// Query conditions matching pages that are publicly visible at the given time.
+// Pages saved before statuses existed have no status and stay public.
+pageSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    $and: [
+      {
+        $or: [
+          { status: 'published' },
+          { status: { $exists: false } },
+          { status: 'scheduled', publishAt: { $lte: now } }
+        ]
+      },
+      {
+        $or: [
+          { unpublishAt: { $exists: false } },
+          { unpublishAt: null },
+          { unpublishAt: { $gt: now } }
+        ]
+      }
+    ]
+  };
+};
+
+// Persist status transitions that are due: scheduled pages whose publishAt has
+// passed become published and pages past their unpublishAt become archived.
+// Visibility never depends on this having run (see publicFilter), it only
+// keeps the stored status accurate for the admin UI.
+pageSchema.statics.syncSchedule = async function(now = new Date()) {
+  await this.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published' } }
+  );
+
+  const published = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    [{ $set: { status: 'published', publishedAt: { $ifNull: ['$publishedAt', '$publishAt'] } } }]
+  );
+
+  const archived = await this.updateMany(
+    { status: { $in: ['scheduled', 'published'] }, unpublishAt: { $lte: now } },
+    { $set: { status: 'archived' } }
+  );
+
+  lastScheduleSync = now.getTime();
+
+  return {
+    published: published.modifiedCount,
+    archived: archived.modifiedCount
+  };
+};
+
+// Run syncSchedule at most once per interval; safe to call on every request
+pageSchema.statics.syncScheduleIfDue = function() {
+  if (Date.now() - lastScheduleSync < SCHEDULE_SYNC_INTERVAL_MS) {
+    return Promise.resolve(null);
+  }
+  lastScheduleSync = Date.now();
+  return this.syncSchedule().catch((error) => {
+    console.error('Error syncing page schedule:', error);
+    return null;
+  });
+};
+
+// Work out where a page with the given slug sits when placed under parentId.
+// Resolves to null when the parent does not exist.
+pageSchema.statics.resolvePlacement = async function(parentId, slug) {
+  if (!parentId) {
+    return { parent: null, ancestors: [], path: slug };
+  }
+
+  const parent = await this.findById(parentId).select('slug path ancestors');
+  if (!parent) {
+    return null;
+  }
+
+  return {
+    parent: parent._id,
+    ancestors: [...(parent.ancestors || []), parent._id],
+    path: `${parent.path || parent.slug}/${slug}`
+  };
+};
+
+// Rewrite ancestors and paths of every page below the given one after it moved
+// or changed slug. Parents are processed before their children.
+pageSchema.statics.updateDescendants = async function(page) {
+  const descendants = await this.find({ ancestors: page._id }).select('slug parent ancestors');
+  descendants.sort((a, b) => a.ancestors.length - b.ancestors.length);
+
+  const placements = new Map([[page._id.toString(), {
+    ancestors: page.ancestors || [],
+    path: page.path || page.slug
+  }]]);
+
+  const operations = descendants.map((descendant) => {
+    const parentPlacement = placements.get(descendant.parent.toString());
+    const placement = {
+      ancestors: [...parentPlacement.ancestors, descendant.parent],
+      path: `${parentPlacement.path}/${descendant.slug}`
+    };
+    placements.set(descendant._id.toString(), placement);
+
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: placement }
+      }
+    };
+  });
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+// The slug itself when no page (live or trashed), redirect or reserved slug
+// uses it, otherwise the next free "<slug>-<n>"
+pageSchema.statics.uniqueSlug = async function(slug, reserved = new Set()) {
+  const isTaken = async (candidate) => reserved.has(candidate)
+    || !!await this.exists({ slug: candidate }).withTrashed()
+    || !!await SlugRedirect.exists({ slug: candidate });
+
+  if (!await isTaken(slug)) {
+    return slug;
+  }
+  for (let n = 2; ; n += 1) {
+    const candidate = `${slug.slice(0, 100 - String(n).length - 1)}-${n}`;
+    if (!await isTaken(candidate)) {
+      return candidate;
+    }
+  }
+};
+
+// Ancestors of a page from the root down, followed by the page itself
+pageSchema.statics.breadcrumbsFor = async function(page) {
+  const ancestors = await this.find({ _id: { $in: page.ancestors || [] } })
+    .select('title slug path');
+  const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+  return [
+    ...(page.ancestors || []).map(id => byId.get(id.toString())).filter(Boolean),
+    page
+  ].map(crumb => ({
+    _id: crumb._id,
+    title: crumb.title,
+    slug: crumb.slug,
+    path: crumb.path || crumb.slug
+  }));
+};
+
+// Every locale variant of a page (including the page itself) matching the filter.
+// Pages saved before localization existed have no translation group of their own.
+pageSchema.statics.variantsOf = function(page, filter = {}) {
+  const key = page.translationGroup || page._id;
+  return this.find({
+    $and: [
+      { $or: [{ translationGroup: key }, { _id: key }] },
+      filter
+    ]
+  }).select('title slug path locale');
+};
+
+// Fill in search text for pages saved before it was indexed. Run at startup;
+// once it has completed, later calls in the same process return right away.
+let searchTextBackfilled = false;
+pageSchema.statics.backfillSearchText = async function() {
+  if (searchTextBackfilled) {
+    return;
+  }
+
+  const cursor = this.find({ searchText: { $exists: false } }).withTrashed().select('content').cursor();
+  for await (const page of cursor) {
+    await this.updateOne({ _id: page._id }, { $set: { searchText: stripHtml(page.content) } }).withTrashed();
+  }
+  searchTextBackfilled = true;
+};
+
+// Fill in content stats for pages saved before they were derived. Run at startup,
+// like backfillSearchText.
+let contentStatsBackfilled = false;
+pageSchema.statics.backfillContentStats = async function() {
+  if (contentStatsBackfilled) {
+    return;
+  }
+
+  const cursor = this.find({ wordCount: { $exists: false } }).withTrashed().select('content').cursor();
+  for await (const page of cursor) {
+    const { content, ...stats } = contentStats(page.content);
+    await this.updateOne({ _id: page._id }, { $set: { content, ...stats } }).withTrashed();
+  }
+  contentStatsBackfilled = true;
+};
+
+// Deleting moves documents to the trash
+pageSchema.plugin(softDelete);
+// Index the media URLs the page uses
+pageSchema.plugin(mediaReferences, { sourceType: 'Page' });
+// Version every edit for optimistic concurrency
+pageSchema.plugin(versioning);
+// Purge CDN copies of responses that include the page
+pageSchema.plugin(cachePurge, { keysFor: (id) => (id ? [`page-${id}`] : ['pages']) });
+
 // Index for better query performance
 // Note: slug index is already created by 'unique: true' in schema
 pageSchema.index({ groups: 1 });
 pageSchema.index({ createdAt: -1 });
+pageSchema.index({ status: 1, publishAt: 1 });
+pageSchema.index({ parent: 1, order: 1 });
+pageSchema.index({ ancestors: 1 });
+pageSchema.index({ path: 1 });
+pageSchema.index({ template: 1 });
+pageSchema.index(
+  { translationGroup: 1, locale: 1 },
+  { unique: true, partialFilterExpression: { translationGroup: { $exists: true } } }
+);
+pageSchema.index(
+  { title: 'text', description: 'text', searchText: 'text' },
+  { name: 'page_text_search', weights: { title: 10, description: 5, searchText: 1 } }
+);
 
 const Page = mongoose.model('Page', pageSchema);
 
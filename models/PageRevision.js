@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+
+// Page fields captured in every revision snapshot
+export const REVISION_FIELDS = [
+  'title',
+  'description',
+  'content',
+  'delta',
+  'groups',
+  'imageUrl',
+  'thumbnailUrl',
+  'audioUrl',
+  'template',
+  'fields',
+  'seo'
+];
+
+const pageRevisionSchema = new mongoose.Schema({
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    required: [true, 'Page is required']
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: [1, 'Revision number must be at least 1']
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  delta: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  groups: {
+    type: [String],
+    default: []
+  },
+  imageUrl: {
+    type: String,
+    trim: true
+  },
+  thumbnailUrl: {
+    type: String,
+    trim: true
+  },
+  audioUrl: {
+    type: String,
+    trim: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PageTemplate'
+  },
+  fields: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  seo: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Attempts at claiming a revision number before giving up
+const RECORD_ATTEMPTS = 5;
+
+// Snapshot the current state of a page as its next revision. Concurrent saves
+// of the same page can pick the same number; the loser of the unique index
+// race tries again with the next one.
+pageRevisionSchema.statics.record = async function(page, authorId, options = {}) {
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = page[field];
+  }
+
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await this.findOne({ page: page._id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    try {
+      return await this.create({
+        ...snapshot,
+        page: page._id,
+        revision: latest ? latest.revision + 1 : 1,
+        author: authorId,
+        restoredFrom: options.restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Compare two revisions field by field
+pageRevisionSchema.statics.diff = function(from, to) {
+  const changes = {};
+
+  for (const field of REVISION_FIELDS) {
+    const before = from[field];
+    const after = to[field];
+
+    if (Array.isArray(before) || Array.isArray(after)) {
+      const beforeList = before || [];
+      const afterList = after || [];
+      const added = afterList.filter(item => !beforeList.includes(item));
+      const removed = beforeList.filter(item => !afterList.includes(item));
+
+      changes[field] = {
+        changed: added.length > 0 || removed.length > 0,
+        added,
+        removed
+      };
+    } else if ((before && typeof before === 'object') || (after && typeof after === 'object')) {
+      changes[field] = {
+        changed: JSON.stringify(before || null) !== JSON.stringify(after || null),
+        from: before,
+        to: after
+      };
+    } else {
+      changes[field] = {
+        changed: (before || '') !== (after || ''),
+        from: before,
+        to: after
+      };
+    }
+  }
+
+  return changes;
+};
+
+// Index for better query performance
+pageRevisionSchema.index({ page: 1, revision: -1 }, { unique: true });
+
+const PageRevision = mongoose.model('PageRevision', pageRevisionSchema);
+
+export default PageRevision;
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import { toSlug } from './Page.js';
+
+export const FIELD_TYPES = ['text', 'richText', 'number', 'date', 'image', 'track', 'list'];
+
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+const fieldDefinition = {
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    match: [FIELD_KEY_PATTERN, 'Field key must start with a letter and contain only letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Field label cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Field type is required'],
+    enum: {
+      values: FIELD_TYPES,
+      message: `Field type must be one of ${FIELD_TYPES.join(', ')}`
+    }
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Type-specific limits: maxLength for text, min/max for numbers and dates,
+  // minItems/maxItems for lists
+  maxLength: Number,
+  min: mongoose.Schema.Types.Mixed,
+  max: mongoose.Schema.Types.Mixed,
+  minItems: Number,
+  maxItems: Number
+};
+
+// List items are described by their own fields; lists do not nest further
+const itemFieldSchema = new mongoose.Schema({
+  ...fieldDefinition,
+  type: {
+    ...fieldDefinition.type,
+    enum: {
+      values: FIELD_TYPES.filter(type => type !== 'list'),
+      message: 'List item fields cannot be lists'
+    }
+  }
+}, { _id: false });
+
+const fieldSchema = new mongoose.Schema({
+  ...fieldDefinition,
+  itemFields: {
+    type: [itemFieldSchema],
+    default: undefined
+  }
+}, { _id: false });
+
+const hasDuplicateKeys = (fields) => {
+  const keys = fields.map(field => field.key);
+  return new Set(keys).size !== keys.length;
+};
+
+const pageTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Slug cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  fields: {
+    type: [fieldSchema],
+    default: [],
+    validate: {
+      validator: function(v) {
+        return !hasDuplicateKeys(v) && v.every(field => !field.itemFields || !hasDuplicateKeys(field.itemFields));
+      },
+      message: 'Field keys must be unique'
+    }
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Generate slug from name if not provided, and keep it properly formatted;
+// list fields need item fields to describe their entries
+pageTemplateSchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = this.name;
+  }
+  if (this.slug) {
+    this.slug = toSlug(this.slug);
+  }
+  this.fields.forEach((field, index) => {
+    if (field.type === 'list' && (!field.itemFields || field.itemFields.length === 0)) {
+      this.invalidate(`fields.${index}.itemFields`, `List field ${field.key} needs at least one item field`);
+    }
+  });
+  next();
+});
+
+const PageTemplate = mongoose.model('PageTemplate', pageTemplateSchema);
+
+export default PageTemplate;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { getAnalyticsConfig } from '../config/analytics.js';
+import { bucketStart, GRANULARITIES } from '../utils/analytics.js';
+
+export const VIEW_DIMENSIONS = ['total', 'referrer', 'country'];
+
+// View counter for one page, time bucket and breakdown value. "total" rows hold
+// the page's views; "referrer" and "country" rows split the same views by source.
+const pageViewStatSchema = new mongoose.Schema({
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    required: [true, 'Page is required']
+  },
+  granularity: {
+    type: String,
+    enum: GRANULARITIES,
+    required: [true, 'Granularity is required']
+  },
+  bucket: {
+    type: Date,
+    required: [true, 'Bucket is required']
+  },
+  dimension: {
+    type: String,
+    enum: VIEW_DIMENSIONS,
+    default: 'total'
+  },
+  value: {
+    type: String,
+    default: ''
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Only hourly buckets expire
+  expiresAt: {
+    type: Date
+  }
+});
+
+// Count one view in every bucket and breakdown it belongs to
+pageViewStatSchema.statics.recordView = function(pageId, { referrer, country, at = new Date() }) {
+  const { hourlyRetentionDays } = getAnalyticsConfig();
+  const rows = [
+    { dimension: 'total', value: '' },
+    { dimension: 'referrer', value: referrer },
+    { dimension: 'country', value: country }
+  ];
+
+  const operations = [];
+  for (const granularity of GRANULARITIES) {
+    const bucket = bucketStart(at, granularity);
+    const setOnInsert = granularity === 'hour'
+      ? { expiresAt: new Date(bucket.getTime() + hourlyRetentionDays * 24 * 60 * 60 * 1000) }
+      : {};
+
+    for (const { dimension, value } of rows) {
+      operations.push({
+        updateOne: {
+          filter: { page: pageId, granularity, bucket, dimension, value },
+          update: { $inc: { views: 1 }, $setOnInsert: setOnInsert },
+          upsert: true
+        }
+      });
+    }
+  }
+
+  return this.bulkWrite(operations, { ordered: false });
+};
+
+// Index for better query performance
+pageViewStatSchema.index({ page: 1, granularity: 1, bucket: 1, dimension: 1, value: 1 }, { unique: true });
+pageViewStatSchema.index({ granularity: 1, dimension: 1, bucket: 1 });
+// Expired hourly buckets are removed by MongoDB
+pageViewStatSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PageViewStat = mongoose.model('PageViewStat', pageViewStatSchema);
+
+export default PageViewStat;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// One visitor's view of a page within a dedup window. Only a salted hash is
+// stored, and the record expires with its window.
+const pageVisitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Visit key is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+});
+
+// Expired visits are removed by MongoDB
+pageVisitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Claim a visit; resolves false when the visitor was already counted in this window
+pageVisitSchema.statics.claim = async function({ key, expiresAt }) {
+  try {
+    await this.create({ key, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const PageVisit = mongoose.model('PageVisit', pageVisitSchema);
+
+export default PageVisit;
@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import mediaReferences from './plugins/mediaReferences.js';
+import versioning from './plugins/versioning.js';
+import cachePurge from './plugins/cachePurge.js';
 
 const playlistSchema = new mongoose.Schema({
   title: {
@@ -59,6 +63,15 @@ playlistSchema.pre('save', function(next) {
   next();
 });
 
+// Deleting moves documents to the trash
+playlistSchema.plugin(softDelete);
+// Index the media URLs the playlist uses
+playlistSchema.plugin(mediaReferences, { sourceType: 'Playlist' });
+// Version every edit for optimistic concurrency
+playlistSchema.plugin(versioning);
+// Purge CDN copies of responses that include the playlist
+playlistSchema.plugin(cachePurge, { keysFor: () => ['playlists'] });
+
 // Index for better query performance
 playlistSchema.index({ createdBy: 1 });
 playlistSchema.index({ isPublic: 1 });
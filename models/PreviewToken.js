@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Record of a minted preview link; the link itself is a signed JWT carrying
+// this document's _id, so revoking means marking the record
+const previewTokenSchema = new mongoose.Schema({
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    required: [true, 'Page is required']
+  },
+  revision: {
+    type: Number,
+    min: [1, 'Revision number must be at least 1']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+previewTokenSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Index for better query performance
+previewTokenSchema.index({ page: 1, createdAt: -1 });
+// Expired records are removed by MongoDB
+previewTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PreviewToken = mongoose.model('PreviewToken', previewTokenSchema);
+
+export default PreviewToken;
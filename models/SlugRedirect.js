@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const slugRedirectSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [100, 'Slug cannot be more than 100 characters']
+  },
+  page: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Page',
+    required: [true, 'Page is required']
+  },
+  hitCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Hit count cannot be negative']
+  },
+  lastHitAt: {
+    type: Date
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Check whether a slug is held by a redirect pointing at a different page
+slugRedirectSchema.statics.isClaimedByOther = async function(slug, pageId) {
+  const query = { slug };
+  if (pageId) {
+    query.page = { $ne: pageId };
+  }
+  return !!(await this.exists(query));
+};
+
+// Index for better query performance
+// Note: slug index is already created by 'unique: true' in schema
+slugRedirectSchema.index({ page: 1 });
+
+const SlugRedirect = mongoose.model('SlugRedirect', slugRedirectSchema);
+
+export default SlugRedirect;
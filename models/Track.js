@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import mediaReferences from './plugins/mediaReferences.js';
+import versioning from './plugins/versioning.js';
+import cachePurge from './plugins/cachePurge.js';
 
 const trackSchema = new mongoose.Schema({
   title: {
@@ -54,6 +58,15 @@ const trackSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Deleting moves documents to the trash
+trackSchema.plugin(softDelete);
+// Index the media URLs the track uses
+trackSchema.plugin(mediaReferences, { sourceType: 'Track' });
+// Version every edit for optimistic concurrency
+trackSchema.plugin(versioning);
+// Purge CDN copies of responses that include the track
+trackSchema.plugin(cachePurge, { keysFor: () => ['tracks'] });
+
 // Index for better query performance
 trackSchema.index({ category: 1 });
 trackSchema.index({ author: 1 });
@@ -0,0 +1,46 @@
+import { purgeSurrogateKeys } from '../../utils/httpCache.js';
+
+// Id targeted by a query filter, or null when the write may touch several documents
+const targetId = (filter) => {
+  const id = filter?._id;
+  return id && (typeof id === 'string' || id._bsontype === 'ObjectId') ? String(id) : null;
+};
+
+// Purges CDN copies of responses built from a model's documents whenever one
+// changes. keysFor(id) lists the surrogate keys to purge; id is null for writes
+// whose targets are unknown (updateMany and the like). Purge failures are logged
+// rather than failing the write; cached copies then expire with their s-maxage.
+const cachePurge = (schema, { keysFor }) => {
+  const purge = async (id) => {
+    try {
+      await purgeSurrogateKeys(keysFor(id));
+    } catch (error) {
+      console.error('Error purging cached responses:', error.message);
+    }
+  };
+
+  // Saves without changes and writes that matched nothing leave cached copies alone
+  schema.pre('save', function() {
+    this.$locals.purgeCache = this.isNew || this.isModified();
+  });
+
+  schema.post('save', async function(doc) {
+    if (doc.$locals.purgeCache) {
+      await purge(String(doc._id));
+    }
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (doc) {
+      await purge(String(doc._id));
+    }
+  });
+
+  schema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function(result) {
+    if (result?.modifiedCount > 0 || result?.deletedCount > 0 || result?.upsertedCount > 0) {
+      await purge(targetId(this.getFilter()));
+    }
+  });
+};
+
+export default cachePurge;
@@ -0,0 +1,38 @@
+import MediaReference from '../MediaReference.js';
+
+// Keeps the media reference index in step with a model's documents. Index
+// failures are logged rather than failing the write that triggered them; a
+// rebuild (POST /api/media/reindex) repairs the index.
+const mediaReferences = (schema, { sourceType }) => {
+  const sync = async (doc) => {
+    try {
+      await MediaReference.syncFor(sourceType, doc);
+    } catch (error) {
+      console.error(`Error indexing media used by ${sourceType} ${doc._id}:`, error);
+    }
+  };
+
+  schema.post('save', async function(doc) {
+    await sync(doc);
+  });
+
+  // The returned document may be the pre-update copy, so index the stored one
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!doc) {
+      return;
+    }
+    const current = await this.model.findById(doc._id).withTrashed();
+    if (current) {
+      await sync(current);
+    }
+  });
+
+  schema.post('deleteOne', { document: false, query: true }, async function() {
+    const id = this.getFilter()._id;
+    if (id) {
+      await MediaReference.deleteMany({ sourceType, source: id });
+    }
+  });
+};
+
+export default mediaReferences;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Query operations that skip trashed documents unless asked not to
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne'
+];
+
+// Soft deletion: documents are moved to the trash by stamping deletedAt and are
+// left out of every query from then on. Queries opt back in with .withTrashed(),
+// or by filtering on deletedAt themselves (e.g. { deletedAt: { $ne: null } }).
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.query.withTrashed = function() {
+    this._withTrashed = true;
+    return this;
+  };
+
+  schema.pre(QUERY_OPERATIONS, function() {
+    if (this._withTrashed || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (first?.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+      return;
+    }
+    // $geoNear and $text matches must stay the first stage
+    const index = first?.$geoNear || first?.$match?.$text ? 1 : 0;
+    this.pipeline().splice(index, 0, { $match: { deletedAt: null } });
+  });
+
+  // Stamped with updateOne so legacy documents that no longer pass validation can still be trashed
+  schema.methods.moveToTrash = async function(userId) {
+    const deletedAt = new Date();
+    await this.constructor.updateOne({ _id: this._id }, { $set: { deletedAt, deletedBy: userId } });
+    this.deletedAt = deletedAt;
+    this.deletedBy = userId;
+    return this;
+  };
+
+  schema.methods.restoreFromTrash = async function(changes = {}) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $set: { ...changes, deletedAt: null }, $unset: { deletedBy: 1 } }
+    ).withTrashed();
+    this.set({ ...changes, deletedAt: null, deletedBy: undefined });
+    return this;
+  };
+
+  schema.statics.findTrashed = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+};
+
+export default softDelete;
@@ -0,0 +1,39 @@
+// Optimistic concurrency: every document carries a version that goes up by one
+// on each edit made with save() or findOneAndUpdate, the two ways documents are
+// edited. Bookkeeping writes made with updateOne/updateMany (trash stamps,
+// cascades, backfills) leave it alone so they don't invalidate open editors.
+// Routes compare it against If-Match or a `version` body field (see utils/concurrency.js).
+const versioning = (schema) => {
+  schema.add({
+    version: {
+      type: Number,
+      default: 0,
+      min: [0, 'Version cannot be negative']
+    }
+  });
+
+  schema.pre('save', function() {
+    if (this.isNew) {
+      this.version = 0;
+    } else if (this.isModified()) {
+      this.version = (this.version || 0) + 1;
+    }
+  });
+
+  schema.pre('findOneAndUpdate', function() {
+    const update = this.getUpdate();
+    // Aggregation pipeline updates are left as they are
+    if (!update || Array.isArray(update)) {
+      return;
+    }
+
+    // Clients never set the version themselves
+    delete update.version;
+    if (update.$set) {
+      delete update.$set.version;
+    }
+    update.$inc = { ...update.$inc, version: 1 };
+  });
+};
+
+export default versioning;
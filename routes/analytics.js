@@ -0,0 +1,301 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin } from '../middleware/index.js';
+import Page from '../models/Page.js';
+import PageViewStat from '../models/PageViewStat.js';
+import PageVisit from '../models/PageVisit.js';
+import { getAnalyticsConfig } from '../config/analytics.js';
+import {
+  bucketRange,
+  bucketStart,
+  countryFrom,
+  GRANULARITIES,
+  isBot,
+  referrerSource,
+  visitKey
+} from '../utils/analytics.js';
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// navigator.sendBeacon posts strings as text/plain, so accept JSON sent that way too
+const parseBeaconBody = (req, res, next) => {
+  if (typeof req.body === 'string') {
+    try {
+      req.body = JSON.parse(req.body || '{}');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Beacon body must be JSON'
+      });
+    }
+  }
+  next();
+};
+
+const rangeRules = [
+  query('from').optional().isISO8601().withMessage('From must be a valid ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid ISO 8601 date'),
+  query('interval').optional().isIn(GRANULARITIES).withMessage(`Interval must be one of ${GRANULARITIES.join(', ')}`)
+];
+
+// Resolve ?from, ?to and ?interval (default: the last 30 days by day).
+// Returns null when the range is empty or reaches past the hourly retention.
+const parseRange = (req) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  const interval = req.query.interval || 'day';
+
+  if (from > to) {
+    return null;
+  }
+  if (interval === 'hour') {
+    const { hourlyRetentionDays } = getAnalyticsConfig();
+    if (to - from > hourlyRetentionDays * 24 * 60 * 60 * 1000) {
+      return null;
+    }
+  }
+
+  return { from, to, interval };
+};
+
+const invalidRange = (res) => res.status(400).json({
+  success: false,
+  message: `Invalid range: from must not be after to, and hourly reports cover at most ${getAnalyticsConfig().hourlyRetentionDays} days`
+});
+
+const bucketMatch = ({ from, to, interval }, extra = {}) => ({
+  granularity: interval,
+  bucket: { $gte: bucketStart(from, interval), $lte: to },
+  ...extra
+});
+
+// Views per bucket across the range, with empty buckets filled in as zero
+const loadSeries = async (range, extra) => {
+  const rows = await PageViewStat.aggregate([
+    { $match: bucketMatch(range, { ...extra, dimension: 'total' }) },
+    { $group: { _id: '$bucket', views: { $sum: '$views' } } }
+  ]);
+
+  const counts = new Map(rows.map(row => [row._id.getTime(), row.views]));
+  return bucketRange(range.from, range.to, range.interval).map(bucket => ({
+    bucket,
+    views: counts.get(bucket.getTime()) || 0
+  }));
+};
+
+// Views split by referrer or country across the range, largest first
+const loadBreakdown = (range, extra, dimension, limit) => PageViewStat.aggregate([
+  { $match: bucketMatch(range, { ...extra, dimension }) },
+  { $group: { _id: '$value', views: { $sum: '$views' } } },
+  { $sort: { views: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, [dimension === 'referrer' ? 'source' : 'country']: '$_id', views: 1 } }
+]);
+
+// POST /api/analytics/views - Record a page view (beacon; no auth, no cookies)
+router.post('/views',
+  express.text({ type: 'text/plain' }),
+  parseBeaconBody,
+  body('slug').trim().notEmpty().withMessage('Slug is required'),
+  body('referrer').optional({ checkFalsy: true }).isString().withMessage('Referrer must be a string'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (isBot(req.headers['user-agent'])) {
+        return res.status(202).json({
+          success: true,
+          data: { counted: false }
+        });
+      }
+
+      const page = await Page.findOne({ slug: req.body.slug, ...Page.publicFilter() }).select('_id');
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      const counted = await PageVisit.claim(visitKey(req, page._id.toString()));
+
+      if (counted) {
+        await PageViewStat.recordView(page._id, {
+          referrer: referrerSource(req.body.referrer),
+          country: countryFrom(req)
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        data: { counted }
+      });
+    } catch (error) {
+      console.error('Error recording page view:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recording page view',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/analytics/top - Most viewed pages over a date range
+router.get('/top',
+  authenticate,
+  requireAdmin,
+  rangeRules,
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const range = parseRange(req);
+      if (!range) {
+        return invalidRange(res);
+      }
+      const limit = parseInt(req.query.limit) || 10;
+
+      const rows = await PageViewStat.aggregate([
+        { $match: bucketMatch(range, { dimension: 'total' }) },
+        { $group: { _id: '$page', views: { $sum: '$views' } } },
+        { $sort: { views: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { _id: 0, page: '$_id', views: 1 } }
+      ]);
+      const pages = await Page.populate(rows, { path: 'page', select: 'title slug path locale' });
+
+      res.json({
+        success: true,
+        data: {
+          from: range.from,
+          to: range.to,
+          pages
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching top pages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching top pages',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/analytics/trends - Views across all pages over a date range, by hour or day
+router.get('/trends',
+  authenticate,
+  requireAdmin,
+  rangeRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const range = parseRange(req);
+      if (!range) {
+        return invalidRange(res);
+      }
+
+      const [series, referrers, countries] = await Promise.all([
+        loadSeries(range, {}),
+        loadBreakdown(range, {}, 'referrer', 10),
+        loadBreakdown(range, {}, 'country', 10)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          from: range.from,
+          to: range.to,
+          interval: range.interval,
+          totalViews: series.reduce((sum, point) => sum + point.views, 0),
+          series,
+          referrers,
+          countries
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching view trends:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching view trends',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/analytics/pages/:id - Timeline and referrer/country breakdown for one page
+router.get('/pages/:id',
+  authenticate,
+  requireAdmin,
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  rangeRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const range = parseRange(req);
+      if (!range) {
+        return invalidRange(res);
+      }
+
+      const page = await Page.findById(req.params.id).select('title slug path locale');
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      const filter = { page: new mongoose.Types.ObjectId(req.params.id) };
+      const [series, referrers, countries] = await Promise.all([
+        loadSeries(range, filter),
+        loadBreakdown(range, filter, 'referrer', 20),
+        loadBreakdown(range, filter, 'country', 20)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          page,
+          from: range.from,
+          to: range.to,
+          interval: range.interval,
+          totalViews: series.reduce((sum, point) => sum + point.views, 0),
+          series,
+          referrers,
+          countries
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching page views:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching page views',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
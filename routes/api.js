@@ -1,6 +1,7 @@
 import express from 'express';
 import axios from 'axios';
 import { authenticate } from '../middleware/index.js';
+import MediaReference from '../models/MediaReference.js';
 
 const router = express.Router();
 
@@ -120,7 +121,7 @@ router.get('/images', async (req, res) => {
 });
 
 // Delete image from Cloudinary
-router.delete('/images/:publicId', async (req, res) => {
+router.delete('/images/:publicId', authenticate, async (req, res) => {
   try {
     const { publicId } = req.params;
     const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
@@ -134,6 +135,16 @@ router.delete('/images/:publicId', async (req, res) => {
       });
     }
 
+    // Refuse to delete images that pages, tracks or playlists still use unless ?force=true
+    const references = await MediaReference.usageOf({ publicId, resourceType: 'image' });
+    if (references.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: 'Image in use',
+        message: `Image is referenced ${references.length} time(s); remove the references or pass force=true`,
+        references
+      });
+    }
+
     const response = await axios.delete(
       `https://api.cloudinary.com/v1_1/${cloudName}/resources/image/upload/${publicId}`,
       {
@@ -291,6 +302,16 @@ router.get('/audios', authenticate, async (req, res) => {
       });
     }
 
+    // Refuse to delete audios that pages, tracks or playlists still use unless ?force=true
+    const references = await MediaReference.usageOf({ publicId, resourceType: 'video' });
+    if (references.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: 'Audio in use',
+        message: `Audio is referenced ${references.length} time(s); remove the references or pass force=true`,
+        references
+      });
+    }
+
     const auth = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
 
     const response = await axios.delete(
@@ -0,0 +1,488 @@
+import express from 'express';
+import multer from 'multer';
+import { ZipArchive } from 'archiver';
+import { body, query, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/index.js';
+import { runInTransaction } from '../config/database.js';
+import Page, { toSlug } from '../models/Page.js';
+import PageRevision from '../models/PageRevision.js';
+import PageTemplate from '../models/PageTemplate.js';
+import Group from '../models/Group.js';
+import SlugRedirect from '../models/SlugRedirect.js';
+import { buildManifest, pageFiles, readArchive } from '../utils/archive.js';
+import { isDelta } from '../utils/render.js';
+import { validateTemplateData } from '../utils/templates.js';
+
+const router = express.Router();
+
+const IMPORT_MAX_BYTES = 50 * 1024 * 1024;
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+// page.json fields copied onto imported pages as they are
+const IMPORT_FIELDS = [
+  'title', 'description', 'imageUrl', 'thumbnailUrl', 'audioUrl', 'groups', 'editorType',
+  'delta', 'locale', 'order', 'status', 'publishAt', 'unpublishAt', 'publishedAt', 'seo'
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 }
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Accept the archive as the multipart "archive" field
+const receiveArchive = (req, res, next) => {
+  upload.single('archive')(req, res, (error) => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Archive cannot be larger than ${IMPORT_MAX_BYTES / (1024 * 1024)} MB`
+          : error.message
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archive file is required (multipart field "archive")'
+      });
+    }
+    next();
+  });
+};
+
+const validationMessages = (error) => (
+  error.errors ? Object.values(error.errors).map(item => item.message) : [error.message]
+);
+
+// Decide what happens to every archived page and validate it, without writing anything
+const planImport = async (archivedPages, strategy) => {
+  const slugs = archivedPages.map(({ meta }) => toSlug(String(meta.slug || meta.title || '')));
+  const groupSlugs = [...new Set(archivedPages.flatMap(({ meta }) => (Array.isArray(meta.groups) ? meta.groups : [])))];
+  const templateSlugs = [...new Set(archivedPages.map(({ meta }) => meta.template).filter(Boolean))];
+
+  const [existingPages, unknownGroups, templates] = await Promise.all([
+    Page.find({ slug: { $in: slugs } }).withTrashed(),
+    Group.findUnknownSlugs(groupSlugs),
+    PageTemplate.find({ slug: { $in: templateSlugs } })
+  ]);
+  const existingBySlug = new Map(existingPages.map(page => [page.slug, page]));
+  const templatesBySlug = new Map(templates.map(template => [template.slug, template]));
+
+  const reserved = new Set();
+  const seen = new Set();
+  const items = [];
+
+  for (const [index, archived] of archivedPages.entries()) {
+    const { meta } = archived;
+    const slug = slugs[index];
+    const item = { folder: archived.folder, slug, meta, errors: [...archived.errors], warnings: [] };
+    items.push(item);
+
+    if (!slug) {
+      item.errors.push('Slug or title is required');
+    } else if (seen.has(slug)) {
+      item.errors.push('Another page in the archive has the same slug');
+    }
+    seen.add(slug);
+
+    const groups = Array.isArray(meta.groups) ? meta.groups : [];
+    const missingGroups = groups.filter(group => unknownGroups.includes(group));
+    if (missingGroups.length > 0) {
+      item.errors.push(`Unknown groups: ${missingGroups.join(', ')}`);
+    }
+
+    const template = meta.template ? templatesBySlug.get(meta.template) : null;
+    if (meta.template && !template) {
+      item.errors.push(`Unknown template: ${meta.template}`);
+    }
+
+    if (meta.delta && (meta.editorType !== 'quill' || !isDelta(meta.delta))) {
+      item.errors.push('Delta must be a Quill Delta object on a quill page');
+    }
+
+    if (item.errors.length > 0) {
+      item.action = 'fail';
+      continue;
+    }
+
+    // Resolve slug conflicts with the chosen strategy
+    const existing = existingBySlug.get(slug);
+    const claimed = !existing && await SlugRedirect.isClaimedByOther(slug);
+    if (!existing && !claimed) {
+      item.action = 'create';
+      item.finalSlug = slug;
+    } else if (strategy === 'skip') {
+      item.action = 'skip';
+      item.existing = existing;
+      continue;
+    } else if (strategy === 'overwrite') {
+      if (!existing || existing.deletedAt) {
+        item.action = 'fail';
+        item.errors.push(existing
+          ? 'A page in the trash uses this slug'
+          : 'This slug still redirects to another page');
+        continue;
+      }
+      item.action = 'overwrite';
+      item.finalSlug = slug;
+    } else {
+      item.action = 'rename';
+      item.finalSlug = await Page.uniqueSlug(slug, reserved);
+    }
+    reserved.add(item.finalSlug);
+
+    const data = { content: archived.content };
+    for (const field of IMPORT_FIELDS) {
+      if (meta[field] !== undefined) {
+        data[field] = meta[field];
+      }
+    }
+    data.template = template ? template._id : null;
+    data.fields = meta.fields;
+
+    if (template) {
+      const { fields, errors } = await validateTemplateData(template, meta.fields, meta.editorType);
+      data.fields = fields;
+      item.errors.push(...errors.map(error => error.msg));
+    }
+
+    item.page = item.action === 'overwrite'
+      ? existing.set(data)
+      : new Page({ ...data, slug: item.finalSlug });
+
+    try {
+      await item.page.validate();
+    } catch (error) {
+      item.errors.push(...validationMessages(error));
+    }
+
+    if (item.errors.length > 0) {
+      item.action = 'fail';
+    }
+  }
+
+  await checkParents(items);
+  await checkTranslations(items);
+
+  return items;
+};
+
+// Parents come from the archive or the database; a missing parent only means
+// the page lands at the root. Pages are written parents first.
+const checkParents = async (items) => {
+  const bySlug = new Map(items.map(item => [item.slug, item]));
+
+  const depthOf = (item, trail = new Set()) => {
+    const parent = item.meta.parentSlug && bySlug.get(item.meta.parentSlug);
+    if (!parent) {
+      return 0;
+    }
+    if (trail.has(item)) {
+      return Infinity;
+    }
+    trail.add(item);
+    return depthOf(parent, trail) + 1;
+  };
+
+  for (const item of items) {
+    item.depth = depthOf(item);
+    if (item.depth === Infinity && item.action !== 'fail') {
+      item.action = 'fail';
+      item.errors.push('Parent pages form a loop');
+    }
+
+    const { parentSlug } = item.meta;
+    if (parentSlug && !bySlug.has(parentSlug) && ['create', 'rename', 'overwrite'].includes(item.action)) {
+      if (!await Page.exists({ slug: parentSlug })) {
+        item.warnings.push(`Parent page ${parentSlug} not found; the page will be placed at the root`);
+      }
+    }
+  }
+};
+
+// Pages sharing a translationKey become variants of each other. Pages being
+// created join the translation group of an overwritten page in the same key.
+const checkTranslations = async (items) => {
+  const keys = new Map();
+  for (const item of items) {
+    if (item.meta.translationKey && ['create', 'rename', 'overwrite'].includes(item.action)) {
+      keys.set(item.meta.translationKey, [...(keys.get(item.meta.translationKey) || []), item]);
+    }
+  }
+
+  for (const members of keys.values()) {
+    const locales = new Set();
+    for (const item of members) {
+      if (locales.has(item.page.locale)) {
+        item.action = 'fail';
+        item.errors.push(`Another page in the archive is the ${item.page.locale} translation`);
+      }
+      locales.add(item.page.locale);
+    }
+
+    const anchor = members.find(item => item.action === 'overwrite');
+    if (!anchor) {
+      continue;
+    }
+    const group = anchor.page.translationGroup || anchor.page._id;
+    const overwrittenIds = members.filter(item => item.action === 'overwrite').map(item => item.page._id);
+    for (const item of members.filter(member => member.action === 'create' || member.action === 'rename')) {
+      const conflict = await Page.exists({
+        translationGroup: group,
+        locale: item.page.locale,
+        _id: { $nin: overwrittenIds }
+      }).withTrashed();
+      if (conflict) {
+        item.action = 'fail';
+        item.errors.push(`The page being overwritten already has a ${item.page.locale} translation`);
+      }
+    }
+  }
+};
+
+// Write the planned pages; runs inside a transaction where MongoDB supports it
+const commitImport = async (items, userId) => {
+  const idBySlug = new Map();
+  const ordered = [...items].sort((a, b) => a.depth - b.depth);
+
+  for (const item of ordered) {
+    // Children of a skipped page go under the live page with its slug; a slug that
+    // is only claimed by a redirect or a trashed page leaves them to the lookup below
+    if (item.action === 'skip') {
+      if (item.existing && !item.existing.deletedAt) {
+        idBySlug.set(item.slug, item.existing._id);
+      }
+      continue;
+    }
+
+    const { parentSlug } = item.meta;
+    let parentId = null;
+    if (parentSlug) {
+      parentId = idBySlug.get(parentSlug)
+        || (await Page.findOne({ slug: parentSlug }).select('_id'))?._id
+        || null;
+    }
+    const placement = await Page.resolvePlacement(parentId, item.page.slug)
+      || await Page.resolvePlacement(null, item.page.slug);
+    item.page.set(placement);
+
+    if (item.action === 'overwrite') {
+      // Pages created before revisions existed get their pre-import state kept as a baseline
+      if (!await PageRevision.exists({ page: item.page._id })) {
+        await PageRevision.record(await Page.findById(item.page._id), userId);
+      }
+      await item.page.save();
+      await Page.updateDescendants(item.page);
+    } else {
+      await item.page.save();
+    }
+    await PageRevision.record(item.page, userId);
+
+    idBySlug.set(item.slug, item.page._id);
+  }
+
+  const groups = new Map();
+  for (const item of items) {
+    if (item.meta.translationKey && ['create', 'rename', 'overwrite'].includes(item.action)) {
+      groups.set(item.meta.translationKey, [...(groups.get(item.meta.translationKey) || []), item]);
+    }
+  }
+  for (const members of groups.values()) {
+    const anchor = members.find(item => item.action === 'overwrite') || members[0];
+    const translationGroup = anchor.page.translationGroup || anchor.page._id;
+    const created = members.filter(item => item.action !== 'overwrite').map(item => item.page._id);
+    await Page.updateMany({ _id: { $in: created } }, { $set: { translationGroup } });
+  }
+};
+
+const buildReport = (items) => {
+  const summary = { total: items.length, create: 0, rename: 0, overwrite: 0, skip: 0, fail: 0 };
+  for (const item of items) {
+    summary[item.action] += 1;
+  }
+
+  return {
+    summary,
+    items: items.map(item => ({
+      folder: item.folder,
+      slug: item.slug,
+      action: item.action,
+      finalSlug: item.finalSlug,
+      pageId: item.action === 'skip' ? item.existing?._id : item.page?._id,
+      errors: item.errors,
+      warnings: item.warnings
+    }))
+  };
+};
+
+// GET /api/archive/export - Download pages as a zip archive
+// Filters: ?group=, ?from=&to= (creation date), ?ids=<comma-separated page IDs>
+router.get('/export',
+  authenticate,
+  query('group').optional().trim(),
+  query('from').optional().isISO8601().withMessage('From must be a valid ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid ISO 8601 date'),
+  query('ids')
+    .optional()
+    .custom((value) => {
+      if (!String(value).split(',').every(id => /^[0-9a-fA-F]{24}$/.test(id.trim()))) {
+        throw new Error('IDs must be a comma-separated list of page IDs');
+      }
+      return true;
+    }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { group, from, to, ids } = req.query;
+
+      const filter = {};
+      if (group) {
+        filter.groups = group;
+      }
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) {
+          filter.createdAt.$gte = new Date(from);
+        }
+        if (to) {
+          filter.createdAt.$lte = new Date(to);
+        }
+      }
+      if (ids) {
+        filter._id = { $in: String(ids).split(',').map(id => id.trim()) };
+      }
+
+      if (!await Page.exists(filter)) {
+        return res.status(404).json({
+          success: false,
+          message: 'No pages match the export filters'
+        });
+      }
+
+      const templates = await PageTemplate.find().select('slug');
+      const templateSlugs = new Map(templates.map(template => [template._id.toString(), template.slug]));
+      const parentSlugs = new Map();
+
+      const archive = new ZipArchive({ zlib: { level: 9 } });
+      archive.on('error', (error) => {
+        console.error('Error writing page archive:', error);
+        res.destroy(error);
+      });
+
+      res.attachment(`pages-${new Date().toISOString().slice(0, 10)}.zip`);
+      archive.pipe(res);
+
+      // Parents first, so the archive reads top-down
+      let pageCount = 0;
+      for await (const page of Page.find(filter).sort({ path: 1 }).cursor()) {
+        let parentSlug;
+        if (page.parent) {
+          const parentId = page.parent.toString();
+          if (!parentSlugs.has(parentId)) {
+            const parent = await Page.findById(parentId).withTrashed().select('slug');
+            parentSlugs.set(parentId, parent?.slug);
+          }
+          parentSlug = parentSlugs.get(parentId);
+        }
+
+        const references = { parentSlug, templateSlug: page.template && templateSlugs.get(page.template.toString()) };
+        for (const file of pageFiles(page, references)) {
+          archive.append(file.content, { name: file.name });
+        }
+        pageCount += 1;
+      }
+
+      archive.append(buildManifest({ group, from, to, ids }, pageCount), { name: 'manifest.json' });
+      await archive.finalize();
+    } catch (error) {
+      console.error('Error exporting pages:', error);
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting pages',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/archive/import - Import pages from an export archive (multipart field "archive")
+//   strategy  what to do when a slug is taken: skip (default), overwrite or rename
+//   dryRun    only return the validation report
+// Nothing is written unless every page in the archive passes validation.
+router.post('/import',
+  authenticate,
+  receiveArchive,
+  body('strategy')
+    .optional()
+    .isIn(CONFLICT_STRATEGIES)
+    .withMessage(`Strategy must be one of ${CONFLICT_STRATEGIES.join(', ')}`),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { strategy = 'skip', dryRun = false } = req.body;
+
+      let archive;
+      try {
+        archive = readArchive(req.file.buffer);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const items = await planImport(archive.pages, strategy);
+      const failed = items.some(item => item.action === 'fail');
+
+      if (dryRun || failed) {
+        const report = buildReport(items);
+        return res.status(failed && !dryRun ? 400 : 200).json({
+          success: !(failed && !dryRun),
+          message: failed
+            ? `${report.summary.fail} page(s) failed validation; nothing was imported`
+            : 'Dry run: archive is valid, nothing was imported',
+          data: { strategy, dryRun, committed: false, ...report }
+        });
+      }
+
+      await runInTransaction(() => commitImport(items, req.user._id));
+
+      res.status(201).json({
+        success: true,
+        message: 'Pages imported successfully',
+        data: { strategy, dryRun, committed: true, ...buildReport(items) }
+      });
+    } catch (error) {
+      console.error('Error importing pages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error importing pages',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
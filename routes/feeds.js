@@ -0,0 +1,184 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import Page from '../models/Page.js';
+import Group from '../models/Group.js';
+import { findSite } from '../config/sites.js';
+import { buildAtom, buildRss, buildSitemap, buildSitemapIndex } from '../utils/feeds.js';
+
+const router = express.Router();
+
+const FEED_ITEM_LIMIT = 20;
+// Sitemap protocol limit; lower it with SITEMAP_MAX_URLS to split earlier
+const sitemapMaxUrls = () => parseInt(process.env.SITEMAP_MAX_URLS) || 50000;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Resolve :site (and :group when present) or answer 404
+const loadSite = async (req, res, next) => {
+  try {
+    const site = findSite(req.params.site);
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        message: 'Site not found'
+      });
+    }
+    req.site = site;
+
+    if (req.params.group) {
+      const group = await Group.findOne({ slug: req.params.group });
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+      req.group = group;
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error loading feed site:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Public pages belonging to the site (and group, if any)
+const feedFilter = (req) => {
+  const filter = Page.publicFilter();
+  const groups = req.group ? [req.group.slug] : req.site.groups;
+  if (groups.length > 0) {
+    filter.groups = { $in: groups };
+  }
+  return filter;
+};
+
+// Sitemaps leave out pages marked noindex
+const sitemapFilter = (req) => ({ ...feedFilter(req), 'seo.noindex': { $ne: true } });
+
+const sendXml = (res, contentType, xml) => {
+  res.set('Content-Type', `${contentType}; charset=utf-8`);
+  res.set('Cache-Control', 'public, max-age=900');
+  res.send(xml);
+};
+
+const absoluteUrl = (req, path) => `${req.protocol}://${req.get('host')}${path}`;
+
+// GET /api/feeds/:site/sitemap.xml - Sitemap, or a sitemap index once there are too many pages
+router.get('/:site/sitemap.xml', loadSite, async (req, res) => {
+  try {
+    await Page.syncScheduleIfDue();
+
+    const filter = sitemapFilter(req);
+    const total = await Page.countDocuments(filter);
+    const maxUrls = sitemapMaxUrls();
+
+    if (total <= maxUrls) {
+      const pages = await Page.find(filter).select('slug path updatedAt').sort({ _id: 1 });
+      return sendXml(res, 'application/xml', buildSitemap(req.site, pages));
+    }
+
+    const [latest] = await Page.find(filter).select('updatedAt').sort({ updatedAt: -1 }).limit(1);
+    const entries = Array.from({ length: Math.ceil(total / maxUrls) }, (value, index) => ({
+      loc: absoluteUrl(req, `${req.baseUrl}/${req.site.key}/sitemap-${index + 1}.xml`),
+      lastmod: latest?.updatedAt
+    }));
+
+    sendXml(res, 'application/xml', buildSitemapIndex(entries));
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating sitemap',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/feeds/:site/sitemap-:part.xml - One part of a split sitemap
+router.get('/:site/sitemap-:part(\\d+).xml',
+  param('part').isInt({ min: 1 }).withMessage('Sitemap part must be a positive integer'),
+  handleValidationErrors,
+  loadSite,
+  async (req, res) => {
+    try {
+      const maxUrls = sitemapMaxUrls();
+      const pages = await Page.find(sitemapFilter(req))
+        .select('slug path updatedAt')
+        .sort({ _id: 1 })
+        .skip((parseInt(req.params.part) - 1) * maxUrls)
+        .limit(maxUrls);
+
+      if (pages.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sitemap not found'
+        });
+      }
+
+      sendXml(res, 'application/xml', buildSitemap(req.site, pages));
+    } catch (error) {
+      console.error('Error generating sitemap:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating sitemap',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Latest public pages for a feed, newest first
+const renderFeed = (format) => async (req, res) => {
+  try {
+    await Page.syncScheduleIfDue();
+
+    const pages = await Page.find(feedFilter(req))
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(FEED_ITEM_LIMIT);
+
+    const feed = {
+      title: req.group ? `${req.site.title} - ${req.group.name}` : req.site.title,
+      description: (req.group ? req.group.description : req.site.description) || req.site.title,
+      link: req.site.baseUrl,
+      selfUrl: absoluteUrl(req, req.originalUrl)
+    };
+
+    if (format === 'atom') {
+      return sendXml(res, 'application/atom+xml', buildAtom(req.site, feed, pages));
+    }
+    sendXml(res, 'application/rss+xml', buildRss(req.site, feed, pages));
+  } catch (error) {
+    console.error(`Error generating ${format} feed:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/feeds/:site/rss.xml and /atom.xml - Site-wide feeds
+router.get('/:site/rss.xml', loadSite, renderFeed('rss'));
+router.get('/:site/atom.xml', loadSite, renderFeed('atom'));
+
+// GET /api/feeds/:site/groups/:group/rss.xml and /atom.xml - Per-group feeds
+router.get('/:site/groups/:group/rss.xml', loadSite, renderFeed('rss'));
+router.get('/:site/groups/:group/atom.xml', loadSite, renderFeed('atom'));
+
+export default router;
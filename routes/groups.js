@@ -0,0 +1,525 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, optionalAuthenticate, requireAdmin } from '../middleware/index.js';
+import { runInTransaction } from '../config/database.js';
+import Group from '../models/Group.js';
+import Page, { toSlug } from '../models/Page.js';
+import { cloneGroupPages } from '../utils/clone.js';
+
+const router = express.Router();
+
+// Upper bound for POST /:id/clone, which copies every page in one request
+const MAX_CLONED_PAGES = 200;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating groups
+const groupValidationRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot be more than 100 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Slug cannot be more than 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+
+  body('coverImageUrl')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isURL()
+    .withMessage('Cover image URL must be a valid URL'),
+
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer')
+    .toInt()
+];
+
+// Count pages per group slug; non-admins only count public pages
+const countPagesByGroup = async (isAdmin, slugs) => {
+  const match = isAdmin ? {} : Page.publicFilter();
+  if (slugs) {
+    match.groups = { $in: slugs };
+  }
+
+  const counts = await Page.aggregate([
+    { $match: match },
+    { $unwind: '$groups' },
+    { $group: { _id: '$groups', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id, entry.count]));
+};
+
+const handleDuplicateError = (error, res) => {
+  if (error.code === 11000) {
+    res.status(400).json({
+      success: false,
+      message: error.keyPattern?.slug
+        ? 'A group with this slug already exists'
+        : 'A group with this name already exists'
+    });
+    return true;
+  }
+  return false;
+};
+
+// GET /api/groups - Get all groups with page counts
+router.get('/', optionalAuthenticate, async (req, res) => {
+  try {
+    const isAdmin = req.user?.role === 'admin';
+    const groups = await Group.find().sort({ order: 1, name: 1 });
+    const counts = await countPagesByGroup(isAdmin);
+
+    res.json({
+      success: true,
+      data: groups.map(group => ({
+        ...group.toObject(),
+        pageCount: counts.get(group.slug) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching groups',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Check every page group value against the group rules before anything is written,
+// so one bad value cannot leave the migration half done. Values without a group
+// need a name and slug of at most 100 characters and a name no other group has.
+const findImportProblems = async (values) => {
+  const problems = [];
+
+  for (const value of values) {
+    const slug = toSlug(value);
+    if (!slug || await Group.exists({ slug })) {
+      continue;
+    }
+
+    const name = value.trim();
+    if (name.length > 100) {
+      problems.push({ value, msg: 'Name cannot be more than 100 characters' });
+    } else if (slug.length > 100) {
+      problems.push({ value, msg: 'Slug cannot be more than 100 characters' });
+    } else if (await Group.exists({ name })) {
+      problems.push({ value, msg: 'A group with this name already exists' });
+    }
+  }
+
+  return problems;
+};
+
+// POST /api/groups/import - Create groups for page group values that have none yet
+// and rewrite those pages to the new group slugs. Used once to migrate the old
+// free-form group strings.
+router.post('/import', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const values = await Page.distinct('groups').withTrashed();
+
+    const problems = await findImportProblems(values);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${problems.length} group values cannot be imported; nothing was changed`,
+        errors: problems
+      });
+    }
+
+    const created = [];
+    for (const value of values) {
+      const slug = toSlug(value);
+      if (!slug) {
+        continue;
+      }
+
+      let group = await Group.findOne({ slug });
+      if (!group) {
+        group = await Group.create({ name: value, slug });
+        created.push(group);
+      }
+
+      if (value !== slug) {
+        await runInTransaction(async (session) => {
+          await Page.updateMany({ groups: value }, { $addToSet: { groups: slug } }, { session }).withTrashed();
+          await Page.updateMany({ groups: value }, { $pull: { groups: value } }, { session }).withTrashed();
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${created.length} groups imported successfully`,
+      data: created
+    });
+  } catch (error) {
+    console.error('Error importing groups:', error);
+
+    if (handleDuplicateError(error, res)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error importing groups',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/groups/:slug - Get a single group by slug
+router.get('/:slug',
+  optionalAuthenticate,
+  param('slug').trim().notEmpty().withMessage('Slug is required'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const group = await Group.findOne({ slug: req.params.slug });
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const counts = await countPagesByGroup(req.user?.role === 'admin', [group.slug]);
+
+      res.json({
+        success: true,
+        data: {
+          ...group.toObject(),
+          pageCount: counts.get(group.slug) || 0
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/groups - Create a new group
+router.post('/',
+  authenticate,
+  groupValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, slug, description, coverImageUrl, order } = req.body;
+
+      const group = new Group({ name, slug, description, coverImageUrl, order });
+      await group.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Group created successfully',
+        data: group
+      });
+    } catch (error) {
+      console.error('Error creating group:', error);
+
+      if (handleDuplicateError(error, res)) {
+        return;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error creating group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PUT /api/groups/:id - Update a group; a slug change is applied to every page in the group
+router.put('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid group ID'),
+  groupValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, slug, description, coverImageUrl, order } = req.body;
+
+      const group = await Group.findById(id);
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const oldSlug = group.slug;
+      group.set({ name, description, coverImageUrl, order });
+      if (slug) {
+        group.slug = slug;
+      }
+
+      let pagesUpdated = 0;
+      await runInTransaction(async (session) => {
+        await group.save({ session });
+
+        // Trashed pages are rewritten too, so they come back with a valid group
+        if (group.slug !== oldSlug) {
+          const result = await Page.updateMany(
+            { groups: oldSlug },
+            { $set: { 'groups.$': group.slug } },
+            { session }
+          ).withTrashed();
+          pagesUpdated = result.modifiedCount;
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Group updated successfully',
+        data: { group, pagesUpdated }
+      });
+    } catch (error) {
+      console.error('Error updating group:', error);
+
+      if (handleDuplicateError(error, res)) {
+        return;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error updating group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/groups/:id/merge - Move every page of this group into another group and delete it
+router.post('/:id/merge',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid group ID'),
+  body('into').isMongoId().withMessage('Invalid target group ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { into } = req.body;
+
+      if (id === into) {
+        return res.status(400).json({
+          success: false,
+          message: 'A group cannot be merged into itself'
+        });
+      }
+
+      const [source, target] = await Promise.all([
+        Group.findById(id),
+        Group.findById(into)
+      ]);
+
+      if (!source || !target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      let pagesUpdated = 0;
+      await runInTransaction(async (session) => {
+        const result = await Page.updateMany(
+          { groups: source.slug },
+          { $addToSet: { groups: target.slug } },
+          { session }
+        ).withTrashed();
+        await Page.updateMany(
+          { groups: source.slug },
+          { $pull: { groups: source.slug } },
+          { session }
+        ).withTrashed();
+        await Group.deleteOne({ _id: source._id }, { session });
+        pagesUpdated = result.matchedCount;
+      });
+
+      res.json({
+        success: true,
+        message: `Group ${source.name} merged into ${target.name} successfully`,
+        data: { group: target, pagesUpdated }
+      });
+    } catch (error) {
+      console.error('Error merging groups:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error merging groups',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/groups/:id/clone - Create a new group holding a copy of every page in this one
+// Cloned pages keep their titles, get "<slug>-<new group slug>" slugs, and keep
+// their hierarchy and translations among each other; draft=true starts them unpublished
+router.post('/:id/clone',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid group ID'),
+  groupValidationRules,
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('draft must be a boolean')
+    .toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, slug, description, coverImageUrl, order, draft } = req.body;
+
+      const source = await Group.findById(req.params.id);
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const pageCount = await Page.countDocuments({ groups: source.slug });
+      if (pageCount > MAX_CLONED_PAGES) {
+        return res.status(400).json({
+          success: false,
+          message: `Groups with more than ${MAX_CLONED_PAGES} pages cannot be cloned at once`,
+          data: { pageCount }
+        });
+      }
+
+      let group;
+      let clones = [];
+      await runInTransaction(async () => {
+        group = new Group({
+          name,
+          slug,
+          description: description ?? source.description,
+          coverImageUrl: coverImageUrl ?? source.coverImageUrl,
+          order: order ?? source.order
+        });
+        await group.save();
+        clones = await cloneGroupPages(source.slug, group.slug, { draft }, req.user._id);
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Group ${source.name} cloned with ${clones.length} pages`,
+        data: {
+          group,
+          pages: clones.map(({ source: original, page }) => ({
+            id: page._id,
+            title: page.title,
+            slug: page.slug,
+            clonedFrom: original._id
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Error cloning group:', error);
+
+      if (handleDuplicateError(error, res)) {
+        return;
+      }
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: `A page copy is not a valid page: ${error.message}`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error cloning group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/groups/:id - Delete a group
+// Groups still used by pages are only deleted with ?force=true, which removes
+// the group from those pages
+router.delete('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid group ID'),
+  query('force').optional().isBoolean().withMessage('force must be a boolean'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const group = await Group.findById(id);
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Group not found'
+        });
+      }
+
+      const pageCount = await Page.countDocuments({ groups: group.slug });
+      if (pageCount > 0 && req.query.force !== 'true') {
+        return res.status(409).json({
+          success: false,
+          message: 'Group is still used by pages; merge it or pass force=true',
+          data: { pageCount }
+        });
+      }
+
+      await runInTransaction(async (session) => {
+        await Page.updateMany({ groups: group.slug }, { $pull: { groups: group.slug } }, { session }).withTrashed();
+        await Group.deleteOne({ _id: group._id }, { session });
+      });
+
+      res.json({
+        success: true,
+        message: 'Group deleted successfully',
+        data: { id: group._id, name: group.name }
+      });
+    } catch (error) {
+      console.error('Error deleting group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting group',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,125 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/index.js';
+import Page, { PAGE_STATUSES } from '../models/Page.js';
+import { AUDIT_FIELDS, auditPages, getLinkFetcher, LINK_FETCHERS, LINK_STATUSES } from '../utils/linkAudit.js';
+
+const router = express.Router();
+
+const MAX_AUDIT_PAGES = 50;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const fetcherRule = query('fetcher')
+  .optional()
+  .isIn(Object.keys(LINK_FETCHERS))
+  .withMessage(`Fetcher must be one of ${Object.keys(LINK_FETCHERS).join(', ')}`);
+
+// GET /api/link-audit - Audit links and media on a page of pages
+// ?group=, ?status=, ?fetcher=http|offline, ?onlyProblems=true to leave out pages whose links are all fine
+router.get('/',
+  authenticate,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: MAX_AUDIT_PAGES }).withMessage(`Limit must be between 1 and ${MAX_AUDIT_PAGES}`).toInt(),
+  query('status').optional().isIn(PAGE_STATUSES).withMessage(`Status must be one of ${PAGE_STATUSES.join(', ')}`),
+  query('onlyProblems').optional().isBoolean().withMessage('onlyProblems must be a boolean').toBoolean(),
+  fetcherRule,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, group, status, onlyProblems = false, fetcher } = req.query;
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+      if (group) {
+        filter.groups = group;
+      }
+      if (status) {
+        filter.status = status;
+      }
+
+      const pages = await Page.find(filter)
+        .select(AUDIT_FIELDS)
+        .sort({ path: 1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Page.countDocuments(filter);
+
+      const reports = await auditPages(pages, { fetcher: getLinkFetcher(fetcher) });
+
+      const hasProblems = (report) => report.summary.broken > 0 || report.summary.warning > 0;
+      const summary = { pages: reports.length, pagesWithProblems: reports.filter(hasProblems).length };
+      for (const key of ['total', ...LINK_STATUSES]) {
+        summary[key] = reports.reduce((sum, report) => sum + report.summary[key], 0);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          summary,
+          reports: onlyProblems ? reports.filter(hasProblems) : reports,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: limit
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error auditing links:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error auditing links',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/link-audit/pages/:id - Link report for one page (?fetcher=http|offline)
+router.get('/pages/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  fetcherRule,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const page = await Page.findById(req.params.id).select(AUDIT_FIELDS);
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      const [report] = await auditPages([page], { fetcher: getLinkFetcher(req.query.fetcher) });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error auditing page links:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error auditing page links',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,86 @@
+import express from 'express';
+import { authenticate } from '../middleware/index.js';
+import { getLocaleConfig } from '../config/locales.js';
+import Page from '../models/Page.js';
+
+const router = express.Router();
+
+// GET /api/locales - Get the configured locales and fallback chains
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: getLocaleConfig()
+  });
+});
+
+// GET /api/locales/missing - List pages that are missing one or more supported locales
+router.get('/missing', authenticate, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const { defaultLocale, supportedLocales } = getLocaleConfig();
+
+    // Pages saved before localization existed form a group of their own in the default locale
+    const groups = await Page.aggregate([
+      {
+        $group: {
+          _id: { $ifNull: ['$translationGroup', '$_id'] },
+          pages: {
+            $push: {
+              _id: '$_id',
+              title: '$title',
+              slug: '$slug',
+              locale: { $ifNull: ['$locale', defaultLocale] }
+            }
+          },
+          locales: { $addToSet: { $ifNull: ['$locale', defaultLocale] } }
+        }
+      },
+      {
+        $project: {
+          pages: 1,
+          locales: 1,
+          missing: { $setDifference: [supportedLocales, '$locales'] }
+        }
+      },
+      { $match: { 'missing.0': { $exists: true } } },
+      { $sort: { _id: -1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const { items, total } = groups[0];
+    const totalItems = total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      data: {
+        supportedLocales,
+        translationGroups: items.map(item => ({
+          translationGroup: item._id,
+          pages: item.pages,
+          missing: item.missing
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalItems / limit),
+          totalItems,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching missing translations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching missing translations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
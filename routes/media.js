@@ -0,0 +1,89 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin } from '../middleware/index.js';
+import MediaReference from '../models/MediaReference.js';
+import { parseCloudinaryUrl } from '../utils/media.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// GET /api/media/usage - Where an asset is used
+// ?publicId=&resourceType=image|video|raw for Cloudinary assets, or ?url= for any media URL
+router.get('/usage',
+  authenticate,
+  query('publicId').optional().trim().notEmpty().withMessage('Public ID cannot be empty'),
+  query('resourceType').optional().isIn(['image', 'video', 'raw']).withMessage('Resource type must be image, video or raw'),
+  query('url').optional().trim().isURL({ require_protocol: true }).withMessage('URL must be a valid URL'),
+  query().custom((value, { req }) => {
+    if (!req.query.publicId && !req.query.url) {
+      throw new Error('Either publicId or url is required');
+    }
+    return true;
+  }),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { publicId, resourceType = 'image', url } = req.query;
+
+      // A Cloudinary URL matches every transformation of the same asset
+      const asset = publicId ? { publicId, resourceType } : (parseCloudinaryUrl(url) || { url });
+
+      const references = await MediaReference.usageOf(asset);
+
+      res.json({
+        success: true,
+        data: {
+          asset,
+          inUse: references.length > 0,
+          references
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching media usage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching media usage',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/media/reindex - Rebuild the media reference index from all pages, tracks and playlists
+router.post('/reindex',
+  authenticate,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      await MediaReference.syncAll();
+      const total = await MediaReference.countDocuments();
+
+      res.json({
+        success: true,
+        message: 'Media reference index rebuilt',
+        data: { references: total }
+      });
+    } catch (error) {
+      console.error('Error rebuilding media index:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error rebuilding media index',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,143 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { authenticate, optionalAuthenticate } from '../middleware/index.js';
+import Page from '../models/Page.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Nest a flat list of pages under their parents, siblings sorted by order then title.
+// Pages whose parent is not in the list (e.g. hidden from the public) are left out.
+const buildTree = (pages, rootId, maxDepth) => {
+  const childrenOf = new Map();
+  for (const page of pages) {
+    const key = page.parent ? page.parent.toString() : 'root';
+    if (!childrenOf.has(key)) {
+      childrenOf.set(key, []);
+    }
+    childrenOf.get(key).push(page);
+  }
+
+  const build = (key, depth) => {
+    if (maxDepth !== undefined && depth > maxDepth) {
+      return [];
+    }
+    return (childrenOf.get(key) || [])
+      .sort((a, b) => a.order - b.order || a.title.localeCompare(b.title))
+      .map(page => ({
+        _id: page._id,
+        title: page.title,
+        slug: page.slug,
+        path: page.path || page.slug,
+        order: page.order,
+        status: page.status,
+        children: build(page._id.toString(), depth + 1)
+      }));
+  };
+
+  return build(rootId ? rootId.toString() : 'root', 1);
+};
+
+// GET /api/navigation - Get the page tree, or the subtree below ?root=<page id>
+router.get('/',
+  optionalAuthenticate,
+  query('root').optional().isMongoId().withMessage('Invalid root page ID'),
+  query('depth').optional().isInt({ min: 1 }).withMessage('Depth must be a positive integer'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { root, depth } = req.query;
+      const isAdmin = req.user?.role === 'admin';
+
+      await Page.syncScheduleIfDue();
+
+      let filter = isAdmin ? {} : Page.publicFilter();
+
+      let rootPage = null;
+      if (root) {
+        rootPage = await Page.findOne({ _id: root, ...filter }).select('title slug path');
+        if (!rootPage) {
+          return res.status(404).json({
+            success: false,
+            message: 'Page not found'
+          });
+        }
+        filter = { ...filter, ancestors: rootPage._id };
+      }
+
+      const pages = await Page.find(filter).select('title slug path parent order status');
+
+      res.json({
+        success: true,
+        data: {
+          root: rootPage,
+          tree: buildTree(pages, rootPage?._id, depth ? parseInt(depth) : undefined)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching navigation tree:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching navigation tree',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// PUT /api/navigation/order - Set the order of a parent's children
+router.put('/order',
+  authenticate,
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent page ID'),
+  body('children').isArray({ min: 1 }).withMessage('Children must be a non-empty array'),
+  body('children.*').isMongoId().withMessage('Invalid child page ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const parent = req.body.parent || null;
+      const { children } = req.body;
+
+      const siblings = await Page.countDocuments({ _id: { $in: children }, parent });
+      if (siblings !== children.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every page listed must be a child of the given parent'
+        });
+      }
+
+      await Page.bulkWrite(children.map((id, index) => ({
+        updateOne: {
+          filter: { _id: id },
+          update: { $set: { order: index } }
+        }
+      })));
+
+      res.json({
+        success: true,
+        message: 'Page order updated successfully',
+        data: { parent, children }
+      });
+    } catch (error) {
+      console.error('Error ordering pages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error ordering pages',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,288 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/index.js';
+import { runInTransaction } from '../config/database.js';
+import Page, { EDITOR_TYPES } from '../models/Page.js';
+import PageRevision from '../models/PageRevision.js';
+import Group from '../models/Group.js';
+import { TRASH_RESOURCES } from '../utils/trash.js';
+
+// Mounted at /api/pages/bulk
+const router = express.Router();
+
+const MAX_BULK_PAGES = 500;
+const MAX_GROUPS = 10;
+
+const BULK_OPERATIONS = ['addGroup', 'removeGroup', 'setEditorType', 'publish', 'unpublish', 'delete'];
+const OPERATIONS_WITH_VALUE = ['addGroup', 'removeGroup', 'setEditorType'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const bulkValidationRules = [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_PAGES })
+    .withMessage(`IDs must be an array of 1 to ${MAX_BULK_PAGES} page IDs`),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid page ID'),
+
+  body('operation')
+    .isIn(BULK_OPERATIONS)
+    .withMessage(`Operation must be one of ${BULK_OPERATIONS.join(', ')}`),
+
+  body('value')
+    .if(body('operation').isIn(OPERATIONS_WITH_VALUE))
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Value is required for this operation'),
+
+  body('value')
+    .if(body('operation').equals('addGroup'))
+    .custom(async (value) => {
+      if (!await Group.exists({ slug: value })) {
+        throw new Error(`Unknown group: ${value}`);
+      }
+      return true;
+    }),
+
+  body('value')
+    .if(body('operation').equals('setEditorType'))
+    .isIn(EDITOR_TYPES)
+    .withMessage('Editor type must be either quill or summernote'),
+
+  body(['atomic', 'dryRun'])
+    .optional()
+    .isBoolean()
+    .withMessage('atomic and dryRun must be booleans')
+    .toBoolean()
+];
+
+// Apply the operation to the in-memory page and describe what changed.
+// Returns { changes } or { error }; nothing is written here.
+const planChange = (page, operation, value, selectedIds, childIds) => {
+  switch (operation) {
+    case 'addGroup':
+      if (page.groups.includes(value)) {
+        return { changes: {} };
+      }
+      if (page.groups.length >= MAX_GROUPS) {
+        return { error: `Page already has ${MAX_GROUPS} groups` };
+      }
+      page.groups.push(value);
+      return { changes: { groups: { added: [value], removed: [] } } };
+
+    case 'removeGroup':
+      if (!page.groups.includes(value)) {
+        return { changes: {} };
+      }
+      page.groups.pull(value);
+      return { changes: { groups: { added: [], removed: [value] } } };
+
+    case 'setEditorType': {
+      const from = page.editorType;
+      if (from === value) {
+        return { changes: {} };
+      }
+      page.editorType = value;
+      return { changes: { editorType: { from, to: value } } };
+    }
+
+    case 'publish':
+    case 'unpublish': {
+      const from = page.status;
+      const to = operation === 'publish' ? 'published' : 'draft';
+      if (from === to || (operation === 'unpublish' && from === 'archived')) {
+        return { changes: {} };
+      }
+      page.status = to;
+      return { changes: { status: { from: from ?? null, to } } };
+    }
+
+    case 'delete': {
+      // Children are reparented when their parent is trashed, so only children
+      // that stay behind block the delete
+      const remaining = childIds.filter(id => !selectedIds.has(id));
+      if (remaining.length > 0) {
+        return { error: 'Page has child pages that are not part of this operation' };
+      }
+      return { changes: { deleted: { from: false, to: true } } };
+    }
+
+    default:
+      return { error: 'Unsupported operation' };
+  }
+};
+
+// Work out every item's outcome without writing anything
+const planBulk = async ({ ids, operation, value }) => {
+  const uniqueIds = [...new Set(ids)];
+  const selectedIds = new Set(uniqueIds);
+
+  const pages = await Page.find({ _id: { $in: uniqueIds } });
+  const pagesById = new Map(pages.map(page => [page._id.toString(), page]));
+
+  const childIdsByParent = new Map();
+  if (operation === 'delete') {
+    const children = await Page.find({ parent: { $in: uniqueIds } }).select('parent');
+    for (const child of children) {
+      const parentId = child.parent.toString();
+      childIdsByParent.set(parentId, [...(childIdsByParent.get(parentId) || []), child._id.toString()]);
+    }
+  }
+
+  const items = [];
+  for (const id of uniqueIds) {
+    const page = pagesById.get(id);
+    if (!page) {
+      items.push({ id, ok: false, changed: false, error: 'Page not found' });
+      continue;
+    }
+
+    const { changes, error } = planChange(page, operation, value, selectedIds, childIdsByParent.get(id) || []);
+    if (error) {
+      items.push({ id, title: page.title, ok: false, changed: false, error });
+      continue;
+    }
+
+    const changed = Object.keys(changes).length > 0;
+    if (changed && operation !== 'delete') {
+      try {
+        await page.validate();
+      } catch (validationError) {
+        items.push({ id, title: page.title, ok: false, changed: false, error: validationError.message });
+        continue;
+      }
+    }
+
+    items.push({ id, title: page.title, ok: true, changed, changes, page });
+  }
+
+  return items;
+};
+
+// Write one planned change, keeping revision history in step with PUT /api/pages/:id
+const applyChange = async (item, operation, userId) => {
+  if (operation === 'delete') {
+    await TRASH_RESOURCES.pages.trash(item.page, userId);
+    return;
+  }
+
+  // Pages created before revisions existed get their pre-update state kept as a baseline
+  if (!await PageRevision.exists({ page: item.page._id })) {
+    const original = await Page.findById(item.page._id);
+    await PageRevision.record(original, userId);
+  }
+
+  await item.page.save();
+  await PageRevision.record(item.page, userId);
+};
+
+const summarize = (items) => ({
+  total: items.length,
+  changed: items.filter(item => item.ok && item.changed).length,
+  unchanged: items.filter(item => item.ok && !item.changed).length,
+  failed: items.filter(item => !item.ok).length
+});
+
+const toResult = ({ page, ...item }) => item;
+
+// POST /api/pages/bulk - Apply one operation to many pages
+// { ids, operation, value?, atomic?, dryRun? }
+//   atomic  all-or-nothing: nothing is written unless every page can be changed,
+//           and the writes run in a single transaction where the server supports it
+//   dryRun  report what would change without writing anything
+router.post('/',
+  authenticate,
+  bulkValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { operation, atomic = false, dryRun = false } = req.body;
+
+      const items = await planBulk(req.body);
+      const failed = items.some(item => !item.ok);
+      const rejected = atomic && failed;
+
+      if (dryRun || rejected) {
+        const summary = summarize(items);
+        let message = 'Dry run: no pages were changed';
+        if (rejected) {
+          message = dryRun
+            ? `Dry run: the operation would be rejected because ${summary.failed} item(s) cannot be processed`
+            : `No pages were changed because ${summary.failed} item(s) cannot be processed`;
+        }
+
+        return res.status(rejected && !dryRun ? 400 : 200).json({
+          success: !(rejected && !dryRun),
+          message,
+          data: {
+            operation,
+            atomic,
+            dryRun,
+            applied: false,
+            summary,
+            results: items.map(toResult)
+          }
+        });
+      }
+
+      const pending = items.filter(item => item.ok && item.changed);
+
+      if (atomic) {
+        await runInTransaction(async () => {
+          for (const item of pending) {
+            await applyChange(item, operation, req.user._id);
+          }
+        });
+      } else {
+        for (const item of pending) {
+          try {
+            await applyChange(item, operation, req.user._id);
+          } catch (error) {
+            console.error(`Error applying bulk ${operation} to page ${item.id}:`, error);
+            Object.assign(item, {
+              ok: false,
+              changed: false,
+              error: process.env.NODE_ENV === 'development' ? error.message : 'Error applying change'
+            });
+          }
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'Bulk operation completed',
+        data: {
+          operation,
+          atomic,
+          dryRun,
+          applied: true,
+          summary: summarize(items),
+          results: items.map(toResult)
+        }
+      });
+    } catch (error) {
+      console.error('Error running bulk page operation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error running bulk page operation',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,279 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/index.js';
+import Page from '../models/Page.js';
+import PageRevision, { REVISION_FIELDS } from '../models/PageRevision.js';
+import Group from '../models/Group.js';
+import PageTemplate from '../models/PageTemplate.js';
+import { validateTemplateData } from '../utils/templates.js';
+import {
+  expectedVersions,
+  matchesVersion,
+  sendVersionConflict,
+  setVersionTag,
+  versionFilter
+} from '../utils/concurrency.js';
+
+// Mounted at /api/pages/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const pageIdRule = param('id').isMongoId().withMessage('Invalid page ID');
+
+// GET /api/pages/:id/revisions - List revisions of a page (newest first)
+router.get('/',
+  authenticate,
+  pageIdRule,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const revisions = await PageRevision.find({ page: id })
+        .select('-content') // Exclude content for list view (performance)
+        .populate('author', 'username email')
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await PageRevision.countDocuments({ page: id });
+
+      res.json({
+        success: true,
+        data: {
+          revisions,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching page revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching page revisions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/pages/:id/revisions/diff?from=&to= - Compare two revisions field by field
+router.get('/diff',
+  authenticate,
+  pageIdRule,
+  query('from').isInt({ min: 1 }).withMessage('From revision must be a positive integer'),
+  query('to').isInt({ min: 1 }).withMessage('To revision must be a positive integer'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
+
+      const [fromRevision, toRevision] = await Promise.all([
+        PageRevision.findOne({ page: id, revision: from }),
+        PageRevision.findOne({ page: id, revision: to })
+      ]);
+
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          from,
+          to,
+          changes: PageRevision.diff(fromRevision, toRevision)
+        }
+      });
+    } catch (error) {
+      console.error('Error comparing page revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error comparing page revisions',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/pages/:id/revisions/:revision - Get a single revision
+router.get('/:revision',
+  authenticate,
+  pageIdRule,
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id, revision } = req.params;
+
+      const pageRevision = await PageRevision.findOne({ page: id, revision: parseInt(revision) })
+        .populate('author', 'username email');
+
+      if (!pageRevision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: pageRevision
+      });
+    } catch (error) {
+      console.error('Error fetching page revision:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching page revision',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Groups and template data of a revision are checked again before it is restored:
+// groups may have been deleted and the template changed since the snapshot.
+// Returns the update to apply, or the 400 response body.
+const restoreUpdate = async (page, pageRevision) => {
+  const snapshot = pageRevision.toObject();
+
+  const unknown = await Group.findUnknownSlugs(snapshot.groups || []);
+  if (unknown.length > 0) {
+    return { error: { success: false, message: `Unknown groups: ${unknown.join(', ')}` } };
+  }
+
+  if (snapshot.template) {
+    const template = await PageTemplate.findById(snapshot.template);
+    if (!template) {
+      return { error: { success: false, message: 'Page template not found' } };
+    }
+
+    const { fields, errors } = await validateTemplateData(template, snapshot.fields, page.editorType);
+    if (errors.length > 0) {
+      return { error: { success: false, message: 'Validation failed', errors } };
+    }
+    snapshot.fields = fields;
+  }
+
+  const $set = {};
+  const $unset = {};
+  for (const field of REVISION_FIELDS) {
+    if (snapshot[field] === undefined) {
+      $unset[field] = 1;
+    } else {
+      $set[field] = snapshot[field];
+    }
+  }
+  return { update: Object.keys($unset).length > 0 ? { $set, $unset } : { $set } };
+};
+
+// POST /api/pages/:id/revisions/:revision/restore - Restore a revision as the current version
+// Parent and slug are not part of revisions, so the page keeps its place
+router.post('/:revision/restore',
+  authenticate,
+  pageIdRule,
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+    .toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const revisionNumber = parseInt(req.params.revision);
+
+      const currentPage = await Page.findById(id);
+
+      if (!currentPage) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      const versions = expectedVersions(req);
+      if (!matchesVersion(currentPage, versions)) {
+        return sendVersionConflict(res, currentPage, 'Page');
+      }
+
+      const pageRevision = await PageRevision.findOne({ page: id, revision: revisionNumber });
+
+      if (!pageRevision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      const { update, error } = await restoreUpdate(currentPage, pageRevision);
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      // Only applies if nobody else saved the page since the version check above
+      const page = await Page.findOneAndUpdate(
+        { _id: id, ...versionFilter(versions) },
+        update,
+        { new: true, runValidators: true }
+      );
+
+      if (!page) {
+        const latestPage = await Page.findById(id);
+        if (latestPage) {
+          return sendVersionConflict(res, latestPage, 'Page');
+        }
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      // Restoring is itself a change, so it gets a revision of its own
+      const restored = await PageRevision.record(page, req.user._id, { restoredFrom: revisionNumber });
+
+      setVersionTag(res, page);
+      res.json({
+        success: true,
+        message: `Revision ${revisionNumber} restored successfully`,
+        data: {
+          page,
+          revision: restored.revision
+        }
+      });
+    } catch (error) {
+      console.error('Error restoring page revision:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error restoring page revision',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,7 +1,35 @@
 import express from 'express';
-import { body, param, validationResult } from 'express-validator';
-import { authenticate } from '../middleware/index.js';
-import Page from '../models/Page.js';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, optionalAuthenticate, requireAdmin } from '../middleware/index.js';
+import Page, { OPEN_GRAPH_TYPES, PAGE_STATUSES, TWITTER_CARDS, toSlug } from '../models/Page.js';
+import PageRevision from '../models/PageRevision.js';
+import SlugRedirect from '../models/SlugRedirect.js';
+import Group from '../models/Group.js';
+import PageTemplate from '../models/PageTemplate.js';
+import { buildSnippet } from '../utils/search.js';
+import { sanitizeReport } from '../utils/sanitize.js';
+import { CONTENT_FORMATS, isDelta, renderContent } from '../utils/render.js';
+import { LOCALE_PATTERN, negotiateLocale, parseAcceptLanguage } from '../utils/locale.js';
+import { getLocaleConfig } from '../config/locales.js';
+import { validateTemplateData } from '../utils/templates.js';
+import { buildArticleJsonLd, buildHeadTags, renderHeadTags, resolveSeo } from '../utils/seo.js';
+import { findSite, getSites } from '../config/sites.js';
+import { purgeDateFor, purgeExpiredTrashIfDue, TRASH_RESOURCES } from '../utils/trash.js';
+import {
+  expectedVersions,
+  matchesVersion,
+  sendVersionConflict,
+  setVersionHeader,
+  setVersionTag,
+  versionFilter
+} from '../utils/concurrency.js';
+import { sendNotModified, VALIDATOR_FIELDS } from '../utils/httpCache.js';
+import { preparePatch } from '../utils/patch.js';
+import { clonePage } from '../utils/clone.js';
+import { CONTENT_STATS_FIELDS } from '../utils/contentStats.js';
+import { findRelatedPages } from '../utils/related.js';
+import pageRevisionsRoutes from './pageRevisions.js';
+import pageBulkRoutes from './pageBulk.js';
 
 const router = express.Router();
 
@@ -61,6 +89,14 @@ const pageValidationRules = [
         throw new Error('Cannot have more than 10 groups');
       }
       return true;
+    })
+    .bail()
+    .custom(async (value) => {
+      const unknown = await Group.findUnknownSlugs(value);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown groups: ${unknown.join(', ')}`);
+      }
+      return true;
     }),
   
   body('editorType')
@@ -76,36 +112,409 @@ const pageValidationRules = [
     .withMessage('Slug cannot be more than 100 characters'),
   
   body('content')
+    .optional(),
+
+  body('delta')
+    .optional({ nullable: true })
+    .custom((value, { req }) => {
+      if (value === null) {
+        return true;
+      }
+      if (req.body.editorType !== 'quill') {
+        throw new Error('Delta content is only supported for the quill editor');
+      }
+      if (!isDelta(value)) {
+        throw new Error('Delta must be a Quill Delta object with an ops array');
+      }
+      return true;
+    }),
+
+  body('status')
+    .optional()
+    .isIn(PAGE_STATUSES)
+    .withMessage('Status must be one of draft, scheduled, published or archived'),
+
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Publish date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.body.unpublishAt && new Date(req.body.unpublishAt) <= new Date(value)) {
+        throw new Error('Unpublish date must be after publish date');
+      }
+      return true;
+    }),
+
+  body('unpublishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Unpublish date must be a valid ISO 8601 date'),
+
+  body('status')
+    .custom((value, { req }) => {
+      if (value === 'scheduled' && !req.body.publishAt) {
+        throw new Error('Publish date is required for scheduled pages');
+      }
+      return true;
+    }),
+
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent page ID'),
+
+  body('order')
+    .optional()
+    .isInt()
+    .withMessage('Order must be an integer')
+    .toInt(),
+
+  body('locale')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(LOCALE_PATTERN)
+    .withMessage('Locale must be a language tag such as en or pt-br')
+    .custom((value) => {
+      const { supportedLocales } = getLocaleConfig();
+      if (!supportedLocales.includes(value)) {
+        throw new Error(`Locale must be one of ${supportedLocales.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('translationOf')
     .optional()
+    .isMongoId()
+    .withMessage('Invalid translation source page ID'),
+
+  body('template')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid template ID'),
+
+  body('fields')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Fields must be an object'),
+
+  body('seo')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('SEO must be an object'),
+
+  body('seo.metaTitle')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 70 })
+    .withMessage('Meta title cannot be more than 70 characters'),
+
+  body('seo.metaDescription')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 160 })
+    .withMessage('Meta description cannot be more than 160 characters'),
+
+  body(['seo.canonicalUrl', 'seo.openGraph.image', 'seo.twitter.image'])
+    .optional({ checkFalsy: true })
+    .trim()
+    .isURL({ require_protocol: true, protocols: ['http', 'https'] })
+    .withMessage('SEO URLs must be valid http(s) URLs'),
+
+  body(['seo.noindex', 'seo.nofollow'])
+    .optional()
+    .isBoolean()
+    .withMessage('Robots flags must be booleans'),
+
+  body('seo.openGraph.title')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 95 })
+    .withMessage('Open Graph title cannot be more than 95 characters'),
+
+  body(['seo.openGraph.description', 'seo.twitter.description'])
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Social descriptions cannot be more than 200 characters'),
+
+  body('seo.openGraph.type')
+    .optional({ checkFalsy: true })
+    .isIn(OPEN_GRAPH_TYPES)
+    .withMessage(`Open Graph type must be one of ${OPEN_GRAPH_TYPES.join(', ')}`),
+
+  body('seo.twitter.card')
+    .optional({ checkFalsy: true })
+    .isIn(TWITTER_CARDS)
+    .withMessage(`Twitter card must be one of ${TWITTER_CARDS.join(', ')}`),
+
+  body('seo.twitter.title')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isLength({ max: 70 })
+    .withMessage('Twitter title cannot be more than 70 characters'),
+
+  body('seo.twitter.site')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^@\w{1,15}$/)
+    .withMessage('Twitter site must be an @handle')
 ];
 
+// Validate custom field data against the page's template (the one in the body,
+// or on updates the one the page already uses) and replace it with the
+// normalized values
+const validateTemplateFields = async (req, res, next) => {
+  try {
+    let templateId = req.body.template;
+    if (templateId === undefined && req.params.id) {
+      const current = await Page.findById(req.params.id).select('template');
+      templateId = current?.template;
+    }
+
+    if (!templateId) {
+      if (req.body.fields && Object.keys(req.body.fields).length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom fields require a page template'
+        });
+      }
+      return next();
+    }
+
+    const template = await PageTemplate.findById(templateId);
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page template not found'
+      });
+    }
+
+    const { fields, errors } = await validateTemplateData(template, req.body.fields, req.body.editorType);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    req.body.fields = fields;
+    next();
+  } catch (error) {
+    console.error('Error validating template fields:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating template fields',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Template field data is checked against the template, so a patch touching
+// either one sends both on (with the editor type rich text fields are sanitized for)
+const validatePatchedTemplateFields = (req, res, next) => {
+  if (req.body.template === undefined && req.body.fields === undefined) {
+    return next();
+  }
+
+  const { template, fields, editorType } = req.patchedDocument;
+  Object.assign(req.body, { template: template ?? null, fields: fields ?? null, editorType });
+  validateTemplateFields(req, res, next);
+};
+
+// Admins see every page; everyone else only sees what is currently public
+const isAdminRequest = (req) => req.user?.role === 'admin';
+
+const contentFormatRule = query('format')
+  .optional()
+  .isIn(CONTENT_FORMATS)
+  .withMessage(`Format must be one of ${CONTENT_FORMATS.join(', ')}`);
+
+// Version the change is based on, when not sent as If-Match
+const versionRule = body('version')
+  .optional()
+  .isInt({ min: 0 })
+  .withMessage('Version must be a non-negative integer')
+  .toInt();
+
+// Link a page into the translation group of translationOf (when given) and make
+// sure that group has no other variant in the same locale. Returns the group
+// id, or an error message.
+const resolveTranslation = async ({ translationOf, locale, pageId, currentGroup }) => {
+  let translationGroup = currentGroup;
+
+  if (translationOf) {
+    const source = await Page.findById(translationOf).select('translationGroup');
+    if (!source) {
+      return { error: 'Translation source page not found' };
+    }
+    translationGroup = source.translationGroup || source._id;
+    if (!source.translationGroup) {
+      await Page.updateOne({ _id: source._id }, { $set: { translationGroup } });
+    }
+  }
+
+  if (translationGroup) {
+    const conflict = await Page.exists({
+      $or: [{ translationGroup }, { _id: translationGroup, translationGroup: { $exists: false } }],
+      locale,
+      ...(pageId ? { _id: { $ne: pageId } } : {})
+    }).withTrashed();
+    if (conflict) {
+      return { error: `This page already has a ${locale} translation` };
+    }
+  }
+
+  return { translationGroup };
+};
+
+// Swap a page for the locale variant that best matches ?locale= or the
+// Accept-Language header, and list the translations readers can switch to
+const negotiateVariant = async (req, res, page, visibility) => {
+  res.vary('Accept-Language');
+
+  const variants = await Page.variantsOf(page, visibility);
+  const requested = req.query.locale
+    ? [String(req.query.locale).toLowerCase()]
+    : parseAcceptLanguage(req.get('Accept-Language'));
+
+  let selected = page;
+  if (requested.length > 0) {
+    const locale = negotiateLocale(requested, variants.map(variant => variant.locale));
+    const variant = variants.find(candidate => candidate.locale === locale);
+    if (variant && !variant._id.equals(page._id)) {
+      selected = await Page.findById(variant._id);
+    }
+  }
+
+  return {
+    page: selected,
+    translations: variants.map(variant => ({
+      locale: variant.locale,
+      slug: variant.slug,
+      path: variant.path || variant.slug,
+      title: variant.title
+    }))
+  };
+};
+
+// Conditional GET for a page served with breadcrumbs and translations, which
+// come from its ancestors and locale variants. Sends the 304 and returns true
+// when the client's copy is current.
+const pageNotModified = async (req, res, page) => {
+  const translationGroup = page.translationGroup || page._id;
+  const related = await Page.find({
+    $or: [
+      { _id: { $in: page.ancestors || [] } },
+      { translationGroup },
+      { _id: translationGroup }
+    ]
+  })
+    .select(VALIDATOR_FIELDS)
+    .sort({ _id: 1 });
+
+  return sendNotModified(req, res, {
+    docs: [page, ...related],
+    variant: req.query.format || 'html',
+    keys: ['pages', `page-${page._id}`, ...related.map(doc => `page-${doc._id}`)]
+  });
+};
+
+// Send a page with its content in the representation asked for by ?format=,
+// plus any extra fields such as breadcrumbs
+const sendPage = (req, res, page, extra = {}) => {
+  const format = req.query.format || 'html';
+  // Cached routes have already set an ETag for the whole response
+  if (res.get('ETag')) {
+    setVersionHeader(res, page);
+  } else {
+    setVersionTag(res, page);
+  }
+
+  if (format === 'html') {
+    return res.json({
+      success: true,
+      data: { ...page.toObject(), ...extra }
+    });
+  }
+
+  const content = renderContent(page, format);
+  if (content === null) {
+    return res.status(406).json({
+      success: false,
+      message: 'This page has no Quill Delta content'
+    });
+  }
+
+  const { delta, ...data } = page.toObject();
+  res.json({
+    success: true,
+    data: {
+      ...data,
+      ...extra,
+      content,
+      contentFormat: format
+    }
+  });
+};
+
 // GET /api/pages - Get all pages
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
-    const { page = 1, limit = 10, group, search } = req.query;
+    const { page = 1, limit = 10, group, search, status, locale } = req.query;
     const skip = (page - 1) * limit;
 
+    await Page.syncScheduleIfDue();
+
     // Build query
-    let query = {};
+    let query = isAdminRequest(req) ? {} : Page.publicFilter();
+
+    if (status && isAdminRequest(req)) {
+      query.status = status;
+    }
     
     if (group) {
       query.groups = { $in: [group] };
     }
+
+    // Pages saved before localization existed are in the default locale
+    if (locale) {
+      const normalized = String(locale).toLowerCase();
+      query.locale = normalized === getLocaleConfig().defaultLocale
+        ? { $in: [normalized, null] }
+        : normalized;
+    }
     
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ];
+      query.$text = { $search: search };
     }
 
     // Get pages with pagination
-    const pages = await Page.find(query)
-      .select('-content') // Exclude content for list view (performance)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    let pages;
+    if (search) {
+      // Rank by relevance and attach a highlighted snippet to each hit
+      const hits = await Page.find(query)
+        .select({ score: { $meta: 'textScore' } })
+        .select('-content +searchText')
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      pages = hits.map((hit) => {
+        const { searchText, ...page } = hit.toObject();
+        return {
+          ...page,
+          snippet: buildSnippet(searchText || page.description, search)
+        };
+      });
+    } else {
+      pages = await Page.find(query)
+        .select('-content') // Exclude content for list view (performance)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+    }
 
     // Get total count for pagination
     const total = await Page.countDocuments(query);
@@ -139,24 +548,62 @@ router.get('/', async (req, res) => {
 
 // GET /api/pages/:slug - Get a single page by slug
 router.get('/:slug', 
+  optionalAuthenticate,
   param('slug').trim().notEmpty().withMessage('Slug is required'),
+  contentFormatRule,
   handleValidationErrors,
   async (req, res) => {
     try {
       const { slug } = req.params;
-      
-      const page = await Page.findOne({ slug });
+
+      await Page.syncScheduleIfDue();
+
+      const visibility = isAdminRequest(req) ? {} : Page.publicFilter();
+      const page = await Page.findOne({ slug, ...visibility });
       
       if (!page) {
+        // Old slugs answer with the page's current slug
+        const redirect = await SlugRedirect.findOne({ slug: slug.toLowerCase() });
+        const target = redirect && await Page.findOne({ _id: redirect.page, ...visibility }).select('slug');
+
+        if (target) {
+          await SlugRedirect.updateOne(
+            { _id: redirect._id },
+            { $inc: { hitCount: 1 }, $set: { lastHitAt: new Date() } }
+          );
+
+          const payload = {
+            success: true,
+            message: 'Page has moved',
+            redirectTo: target.slug
+          };
+
+          // ?redirect=false returns the payload without an HTTP redirect
+          if (req.query.redirect === 'false') {
+            return res.json(payload);
+          }
+
+          return res
+            .status(301)
+            .location(`${req.baseUrl}/${encodeURIComponent(target.slug)}`)
+            .json(payload);
+        }
+
         return res.status(404).json({
           success: false,
           message: 'Page not found'
         });
       }
 
-      res.json({
-        success: true,
-        data: page
+      const { page: variant, translations } = await negotiateVariant(req, res, page, visibility);
+
+      if (await pageNotModified(req, res, variant)) {
+        return;
+      }
+
+      sendPage(req, res, variant, {
+        breadcrumbs: await Page.breadcrumbsFor(variant),
+        translations
       });
     } catch (error) {
       console.error('Error fetching page:', error);
@@ -169,29 +616,261 @@ router.get('/:slug',
   }
 );
 
+// GET /api/pages/path/* - Get a single page by its nested path, e.g. /api/pages/path/docs/setup/linux
+router.get('/path/*',
+  optionalAuthenticate,
+  contentFormatRule,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const path = req.params[0].replace(/^\/+|\/+$/g, '').toLowerCase();
+
+      await Page.syncScheduleIfDue();
+
+      const visibility = isAdminRequest(req) ? {} : Page.publicFilter();
+      // Pages saved before paths existed are only reachable by their slug
+      const page = await Page.findOne({
+        $or: [{ path }, { slug: path, path: { $exists: false } }],
+        ...visibility
+      });
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      const { page: variant, translations } = await negotiateVariant(req, res, page, visibility);
+
+      if (await pageNotModified(req, res, variant)) {
+        return;
+      }
+
+      sendPage(req, res, variant, {
+        breadcrumbs: await Page.breadcrumbsFor(variant),
+        translations
+      });
+    } catch (error) {
+      console.error('Error fetching page by path:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching page',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/pages/:slug/meta - Ready-to-render head tags (SEO, Open Graph, Twitter, JSON-LD)
+router.get('/:slug/meta',
+  optionalAuthenticate,
+  query('site').optional().trim(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const site = req.query.site ? findSite(req.query.site) : getSites()[0];
+      if (!site) {
+        return res.status(404).json({
+          success: false,
+          message: 'Site not found'
+        });
+      }
+
+      await Page.syncScheduleIfDue();
+
+      const visibility = isAdminRequest(req) ? {} : Page.publicFilter();
+      const page = await Page.findOne({ slug: req.params.slug, ...visibility });
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      const seo = resolveSeo(page, site);
+      const jsonLd = buildArticleJsonLd(page, site, seo);
+      const tags = buildHeadTags(seo, jsonLd);
+
+      res.json({
+        success: true,
+        data: {
+          ...seo,
+          jsonLd,
+          tags,
+          html: renderHeadTags(tags)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching page metadata:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching page metadata',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/pages/:slug/related - "Read next" pages for a page: pinned ones first, then
+// public pages ranked by shared groups, text similarity and recency
+router.get('/:slug/related',
+  optionalAuthenticate,
+  param('slug').trim().notEmpty().withMessage('Slug is required'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+    .toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit || 5;
+
+      await Page.syncScheduleIfDue();
+
+      const visibility = isAdminRequest(req) ? {} : Page.publicFilter();
+      const page = await Page.findOne({ slug: req.params.slug, ...visibility }).select('+searchText');
+
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      const related = await findRelatedPages(page, { limit });
+
+      const notModified = sendNotModified(req, res, {
+        docs: [page, ...related],
+        variant: `related ${limit}`,
+        keys: ['pages', `page-${page._id}`, ...related.map(doc => `page-${doc._id}`)]
+      });
+      if (notModified) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: {
+          page: { _id: page._id, title: page.title, slug: page.slug },
+          related
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching related pages:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching related pages',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/pages/sanitize - Dry run: report what sanitization would strip from content
+router.post('/sanitize',
+  authenticate,
+  body('content')
+    .isString()
+    .withMessage('Content must be a string'),
+  body('editorType')
+    .notEmpty()
+    .withMessage('Editor type is required')
+    .isIn(['summernote', 'quill'])
+    .withMessage('Editor type must be either summernote or quill'),
+  handleValidationErrors,
+  (req, res) => {
+    try {
+      const { content, editorType } = req.body;
+
+      res.json({
+        success: true,
+        data: sanitizeReport(content, editorType)
+      });
+    } catch (error) {
+      console.error('Error sanitizing content:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error sanitizing content',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 // POST /api/pages - Create a new page
 router.post('/', 
   authenticate,
   pageValidationRules,
   handleValidationErrors,
+  validateTemplateFields,
   async (req, res) => {
     try {
       const pageData = req.body;
+
+      // Normalize up front so the checks below see the slug that will be stored
+      pageData.slug = toSlug(pageData.slug || pageData.title);
       
       // Check if slug already exists
-      if (pageData.slug) {
-        const existingPage = await Page.findOne({ slug: pageData.slug });
-        if (existingPage) {
-          return res.status(400).json({
-            success: false,
-            message: 'A page with this slug already exists'
-          });
-        }
+      const existingPage = await Page.findOne({ slug: pageData.slug }).withTrashed();
+      if (existingPage) {
+        return res.status(400).json({
+          success: false,
+          message: existingPage.deletedAt
+            ? 'A page in the trash still uses this slug'
+            : 'A page with this slug already exists'
+        });
+      }
+
+      if (await SlugRedirect.isClaimedByOther(pageData.slug)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This slug still redirects to another page'
+        });
+      }
+
+      // Pinned related pages are only set through PUT /:id/related
+      delete pageData.relatedPages;
+
+      // Position in the hierarchy is derived from the parent, never taken from the client
+      const placement = await Page.resolvePlacement(pageData.parent, pageData.slug);
+      if (!placement) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent page not found'
+        });
+      }
+      Object.assign(pageData, placement);
+
+      pageData.locale = pageData.locale || getLocaleConfig().defaultLocale;
+      const translation = await resolveTranslation({
+        translationOf: pageData.translationOf,
+        locale: pageData.locale
+      });
+      if (translation.error) {
+        return res.status(400).json({
+          success: false,
+          message: translation.error
+        });
+      }
+      pageData.translationGroup = translation.translationGroup;
+
+      // New pages go after their existing siblings unless given a position
+      if (pageData.order === undefined) {
+        const lastSibling = await Page.findOne({ parent: placement.parent })
+          .sort({ order: -1 })
+          .select('order');
+        pageData.order = lastSibling ? lastSibling.order + 1 : 0;
       }
 
       const page = new Page(pageData);
       await page.save();
 
+      await PageRevision.record(page, req.user._id);
+
+      setVersionTag(res, page);
       res.status(201).json({
         success: true,
         message: 'Page created successfully',
@@ -217,37 +896,218 @@ router.post('/',
   }
 );
 
+// Apply an update to a page; shared by PUT and PATCH
+const updatePage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    // Check if slug already exists (if updating slug)
+    if (updateData.slug) {
+      updateData.slug = toSlug(updateData.slug);
+
+      const existingPage = await Page.findOne({ 
+        slug: updateData.slug, 
+        _id: { $ne: id } 
+      }).withTrashed();
+      if (existingPage) {
+        return res.status(400).json({
+          success: false,
+          message: existingPage.deletedAt
+            ? 'A page in the trash still uses this slug'
+            : 'A page with this slug already exists'
+        });
+      }
+
+      if (await SlugRedirect.isClaimedByOther(updateData.slug, id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This slug still redirects to another page'
+        });
+      }
+    }
+
+    const currentPage = await Page.findById(id);
+
+    if (!currentPage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    const versions = expectedVersions(req);
+    if (!matchesVersion(currentPage, versions)) {
+      return sendVersionConflict(res, currentPage, 'Page');
+    }
+
+    // Re-link translations when the locale or translation source changes
+    delete updateData.translationGroup;
+    if (updateData.translationOf || (updateData.locale && updateData.locale !== currentPage.locale)) {
+      const translation = await resolveTranslation({
+        translationOf: updateData.translationOf,
+        locale: updateData.locale || currentPage.locale,
+        pageId: currentPage._id,
+        currentGroup: currentPage.translationGroup || currentPage._id
+      });
+      if (translation.error) {
+        return res.status(400).json({
+          success: false,
+          message: translation.error
+        });
+      }
+      updateData.translationGroup = translation.translationGroup;
+    }
+
+    // Pinned related pages are only set through PUT /:id/related
+    delete updateData.relatedPages;
+
+    // Re-place the page when its parent or slug changes
+    delete updateData.ancestors;
+    delete updateData.path;
+    const parentId = updateData.parent !== undefined ? updateData.parent : currentPage.parent;
+    const slug = updateData.slug || currentPage.slug;
+    const moved = String(parentId || '') !== String(currentPage.parent || '') || slug !== currentPage.slug;
+
+    if (moved) {
+      const placement = await Page.resolvePlacement(parentId, slug);
+      if (!placement) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent page not found'
+        });
+      }
+      if (placement.ancestors.some(ancestor => ancestor.equals(currentPage._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'A page cannot be moved under itself or one of its descendants'
+        });
+      }
+      Object.assign(updateData, placement);
+    }
+
+    // Pages created before revisions existed get their pre-update state kept as a baseline
+    const hasRevisions = await PageRevision.exists({ page: id });
+    if (!hasRevisions) {
+      await PageRevision.record(currentPage, req.user._id);
+    }
+
+    if (updateData.status === 'published' && !currentPage.publishedAt) {
+      updateData.publishedAt = new Date();
+    }
+
+    // Only applies if nobody else saved the page since the version check above
+    const page = await Page.findOneAndUpdate(
+      { _id: id, ...versionFilter(versions) },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!page) {
+      const latestPage = await Page.findById(id);
+      if (latestPage) {
+        return sendVersionConflict(res, latestPage, 'Page');
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    await PageRevision.record(page, req.user._id);
+
+    if (moved) {
+      await Page.updateDescendants(page);
+    }
+
+    // Keep the old slug answering with a redirect; a page moving back to one
+    // of its own previous slugs takes it over again
+    if (page.slug !== currentPage.slug) {
+      await SlugRedirect.findOneAndUpdate(
+        { slug: currentPage.slug },
+        { page: page._id },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      await SlugRedirect.deleteOne({ slug: page.slug, page: page._id });
+    }
+
+    setVersionTag(res, page);
+    res.json({
+      success: true,
+      message: 'Page updated successfully',
+      data: page
+    });
+  } catch (error) {
+    console.error('Error updating page:', error);
+    
+    // Handle duplicate slug error
+    if (error.code === 11000 && error.keyPattern?.slug) {
+      return res.status(400).json({
+        success: false,
+        message: 'A page with this slug already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating page',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // PUT /api/pages/:id - Update a page
 router.put('/:id',
   authenticate,
   param('id').isMongoId().withMessage('Invalid page ID'),
+  versionRule,
   pageValidationRules,
   handleValidationErrors,
+  validateTemplateFields,
+  updatePage
+);
+
+// PATCH /api/pages/:id - Partially update a page with a JSON merge patch or JSON Patch
+router.patch('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  versionRule,
+  handleValidationErrors,
+  preparePatch({
+    model: Page,
+    label: 'Page',
+    rules: pageValidationRules,
+    readOnly: ['ancestors', 'path', 'translationGroup', 'relatedPages', ...CONTENT_STATS_FIELDS]
+  }),
+  validatePatchedTemplateFields,
+  updatePage
+);
+
+// DELETE /api/pages/:id - Move a page to the trash
+// Pages with children are only deleted with ?children=reparent, which moves
+// the children up to the deleted page's parent
+router.delete('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  query('children').optional().isIn(['reparent']).withMessage('children must be reparent'),
+  versionRule,
+  handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
-      const updateData = req.body;
 
-      // Check if slug already exists (if updating slug)
-      if (updateData.slug) {
-        const existingPage = await Page.findOne({ 
-          slug: updateData.slug, 
-          _id: { $ne: id } 
+      const childCount = await Page.countDocuments({ parent: id });
+
+      if (childCount > 0 && req.query.children !== 'reparent') {
+        return res.status(409).json({
+          success: false,
+          message: 'Page has child pages; move them first or pass children=reparent',
+          data: { childCount }
         });
-        if (existingPage) {
-          return res.status(400).json({
-            success: false,
-            message: 'A page with this slug already exists'
-          });
-        }
       }
-
-      const page = await Page.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      );
-
+      
+      const page = await Page.findById(id);
+      
       if (!page) {
         return res.status(404).json({
           success: false,
@@ -255,42 +1115,164 @@ router.put('/:id',
         });
       }
 
+      if (!matchesVersion(page, expectedVersions(req))) {
+        return sendVersionConflict(res, page, 'Page');
+      }
+
+      await TRASH_RESOURCES.pages.trash(page, req.user._id);
+      await purgeExpiredTrashIfDue();
+
       res.json({
         success: true,
-        message: 'Page updated successfully',
+        message: 'Page moved to trash',
+        data: { id: page._id, title: page.title, purgeAt: purgeDateFor(page) }
+      });
+    } catch (error) {
+      console.error('Error deleting page:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting page',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/pages/:id/clone - Duplicate a page under a new, unique slug
+// The copy keeps content, media, groups and template data; title, slug, groups
+// and parent can be overridden, and draft=true starts it unpublished
+router.post('/:id/clone',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid page ID'),
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot be more than 200 characters'),
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Slug cannot be more than 100 characters'),
+  body('groups')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Groups must be an array of at most 10 groups')
+    .bail()
+    .custom(async (value) => {
+      const unknown = await Group.findUnknownSlugs(value);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown groups: ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent page ID'),
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('draft must be a boolean')
+    .toBoolean(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { title, slug, groups, parent, draft } = req.body;
+
+      const source = await Page.findById(req.params.id);
+
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      if (parent && !await Page.exists({ _id: parent })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent page not found'
+        });
+      }
+
+      const page = await clonePage(source, { title, slug, groups, parent, draft }, req.user._id);
+
+      setVersionTag(res, page);
+      res.status(201).json({
+        success: true,
+        message: 'Page cloned successfully',
         data: page
       });
     } catch (error) {
-      console.error('Error updating page:', error);
-      
-      // Handle duplicate slug error
+      console.error('Error cloning page:', error);
+
+      // Another page took the slug between picking it and saving the copy
       if (error.code === 11000 && error.keyPattern?.slug) {
+        return res.status(409).json({
+          success: false,
+          message: 'A page with this slug was created at the same time; please try again'
+        });
+      }
+
+      if (error.name === 'ValidationError') {
         return res.status(400).json({
           success: false,
-          message: 'A page with this slug already exists'
+          message: `The copy is not a valid page: ${error.message}`
         });
       }
 
       res.status(500).json({
         success: false,
-        message: 'Error updating page',
+        message: 'Error cloning page',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   }
 );
 
-// DELETE /api/pages/:id - Delete a page
-router.delete('/:id',
+// PUT /api/pages/:id/related - Pin the pages always recommended first for a page (admin only)
+// An empty list goes back to computed recommendations only
+router.put('/:id/related',
   authenticate,
+  requireAdmin,
   param('id').isMongoId().withMessage('Invalid page ID'),
+  body('pages')
+    .isArray({ max: 10 })
+    .withMessage('Pages must be an array of at most 10 page IDs'),
+  body('pages.*')
+    .isMongoId()
+    .withMessage('Invalid page ID in pages'),
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
-      
-      const page = await Page.findByIdAndDelete(id);
-      
+      const ids = [...new Set(req.body.pages)];
+
+      if (ids.includes(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A page cannot be related to itself'
+        });
+      }
+
+      const found = await Page.find({ _id: { $in: ids } }).select('_id');
+      const missing = ids.filter(pageId => !found.some(doc => doc._id.equals(pageId)));
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Pages not found: ${missing.join(', ')}`
+        });
+      }
+
+      const page = await Page.findByIdAndUpdate(
+        id,
+        { $set: { relatedPages: ids } },
+        { new: true, runValidators: true }
+      );
+
       if (!page) {
         return res.status(404).json({
           success: false,
@@ -298,16 +1280,17 @@ router.delete('/:id',
         });
       }
 
+      setVersionTag(res, page);
       res.json({
         success: true,
-        message: 'Page deleted successfully',
-        data: { id: page._id, title: page.title }
+        message: 'Related pages updated successfully',
+        data: { id: page._id, relatedPages: page.relatedPages }
       });
     } catch (error) {
-      console.error('Error deleting page:', error);
+      console.error('Error updating related pages:', error);
       res.status(500).json({
         success: false,
-        message: 'Error deleting page',
+        message: 'Error updating related pages',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
@@ -316,13 +1299,16 @@ router.delete('/:id',
 
 // GET /api/pages/by-id/:id - Get a single page by ID (for admin editing)
 router.get('/by-id/:id',
+  optionalAuthenticate,
   param('id').isMongoId().withMessage('Invalid page ID'),
+  contentFormatRule,
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
-      
-      const page = await Page.findById(id);
+
+      const visibility = isAdminRequest(req) ? {} : Page.publicFilter();
+      const page = await Page.findOne({ _id: id, ...visibility });
       
       if (!page) {
         return res.status(404).json({
@@ -331,10 +1317,7 @@ router.get('/by-id/:id',
         });
       }
 
-      res.json({
-        success: true,
-        data: page
-      });
+      sendPage(req, res, page);
     } catch (error) {
       console.error('Error fetching page by ID:', error);
       res.status(500).json({
@@ -346,4 +1329,10 @@ router.get('/by-id/:id',
   }
 );
 
+// Bulk operations: /api/pages/bulk
+router.use('/bulk', pageBulkRoutes);
+
+// Revision history: /api/pages/:id/revisions
+router.use('/:id/revisions', pageRevisionsRoutes);
+
 export default router;
\ No newline at end of file
@@ -3,6 +3,17 @@ import { body, param, validationResult } from 'express-validator';
 import cors from 'cors';
 import { authenticate } from '../middleware/index.js';
 import Playlist from '../models/Playlist.js';
+import Track from '../models/Track.js';
+import { purgeDateFor, purgeExpiredTrashIfDue, TRASH_RESOURCES } from '../utils/trash.js';
+import {
+  expectedVersions,
+  matchesVersion,
+  sendVersionConflict,
+  setVersionTag,
+  versionFilter
+} from '../utils/concurrency.js';
+import { sendNotModified, VALIDATOR_FIELDS } from '../utils/httpCache.js';
+import { preparePatch } from '../utils/patch.js';
 
 const router = express.Router();
 
@@ -82,6 +93,13 @@ const playlistValidationRules = [
     })
 ];
 
+// Version the change is based on, when not sent as If-Match
+const versionRule = body('version')
+  .optional()
+  .isInt({ min: 0 })
+  .withMessage('Version must be a non-negative integer')
+  .toInt();
+
 // GET /api/playlists - Get all playlists
 router.get('/', cors({ origin: '*' }), async (req, res) => {
   try {
@@ -111,6 +129,24 @@ router.get('/', cors({ origin: '*' }), async (req, res) => {
       ];
     }
 
+    // Get total count for pagination
+    const total = await Playlist.countDocuments(query);
+
+    // Answer conditional GETs from the versions of the listed playlists and
+    // their tracks before loading and populating them in full
+    const listed = await Playlist.find(query)
+      .select(`${VALIDATOR_FIELDS} tracks`)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const linked = await Track.find({ _id: { $in: listed.flatMap(playlist => playlist.tracks) } })
+      .select(VALIDATOR_FIELDS)
+      .sort({ _id: 1 });
+
+    if (sendNotModified(req, res, { docs: [...listed, ...linked], variant: String(total), keys: ['playlists', 'tracks'] })) {
+      return;
+    }
+
     // Get playlists with pagination and populate tracks
     const playlists = await Playlist.find(query)
       .populate('tracks')
@@ -118,9 +154,6 @@ router.get('/', cors({ origin: '*' }), async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit));
 
-    // Get total count for pagination
-    const total = await Playlist.countDocuments(query);
-
     res.json({
       success: true,
       data: {
@@ -161,6 +194,7 @@ router.get('/:id',
         });
       }
 
+      setVersionTag(res, playlist);
       res.json({
         success: true,
         data: playlist
@@ -191,6 +225,7 @@ router.post('/',
       // Populate tracks in the response
       await playlist.populate('tracks');
 
+      setVersionTag(res, playlist);
       res.status(201).json({
         success: true,
         message: 'Playlist created successfully',
@@ -207,56 +242,76 @@ router.post('/',
   }
 );
 
+// Apply an update to a playlist; shared by PUT and PATCH
+const updatePlaylist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    const playlist = await Playlist.findOneAndUpdate(
+      { _id: id, ...versionFilter(expectedVersions(req)) },
+      updateData,
+      { new: true, runValidators: true }
+    ).populate('tracks');
+
+    if (!playlist) {
+      const latestPlaylist = await Playlist.findById(id);
+      if (latestPlaylist) {
+        return sendVersionConflict(res, latestPlaylist, 'Playlist');
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    setVersionTag(res, playlist);
+    res.json({
+      success: true,
+      message: 'Playlist updated successfully',
+      data: playlist
+    });
+  } catch (error) {
+    console.error('Error updating playlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // PUT /api/playlists/:id - Update a playlist
 router.put('/:id',
   authenticate,
   param('id').isMongoId().withMessage('Invalid playlist ID'),
+  versionRule,
   playlistValidationRules,
   handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-      const updateData = req.body;
-
-      const playlist = await Playlist.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      ).populate('tracks');
-
-      if (!playlist) {
-        return res.status(404).json({
-          success: false,
-          message: 'Playlist not found'
-        });
-      }
+  updatePlaylist
+);
 
-      res.json({
-        success: true,
-        message: 'Playlist updated successfully',
-        data: playlist
-      });
-    } catch (error) {
-      console.error('Error updating playlist:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error updating playlist',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
-    }
-  }
+// PATCH /api/playlists/:id - Partially update a playlist with a JSON merge patch or JSON Patch
+router.patch('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid playlist ID'),
+  versionRule,
+  handleValidationErrors,
+  preparePatch({ model: Playlist, label: 'Playlist', rules: playlistValidationRules, readOnly: ['trackCount'] }),
+  updatePlaylist
 );
 
-// DELETE /api/playlists/:id - Delete a playlist
+// DELETE /api/playlists/:id - Move a playlist to the trash
 router.delete('/:id',
   authenticate,
   param('id').isMongoId().withMessage('Invalid playlist ID'),
+  versionRule,
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
 
-      const playlist = await Playlist.findByIdAndDelete(id);
+      const playlist = await Playlist.findById(id);
 
       if (!playlist) {
         return res.status(404).json({
@@ -265,10 +320,17 @@ router.delete('/:id',
         });
       }
 
+      if (!matchesVersion(playlist, expectedVersions(req))) {
+        return sendVersionConflict(res, playlist, 'Playlist');
+      }
+
+      await TRASH_RESOURCES.playlists.trash(playlist, req.user._id);
+      await purgeExpiredTrashIfDue();
+
       res.json({
         success: true,
-        message: 'Playlist deleted successfully',
-        data: { id: playlist._id, title: playlist.title }
+        message: 'Playlist moved to trash',
+        data: { id: playlist._id, title: playlist.title, purgeAt: purgeDateFor(playlist) }
       });
     } catch (error) {
       console.error('Error deleting playlist:', error);
@@ -286,6 +348,7 @@ router.put('/:id/tracks',
   authenticate,
   param('id').isMongoId().withMessage('Invalid playlist ID'),
   body('trackIds').isArray().withMessage('Track IDs must be an array'),
+  versionRule,
   handleValidationErrors,
   async (req, res) => {
     try {
@@ -311,6 +374,10 @@ router.put('/:id/tracks',
         });
       }
 
+      if (!matchesVersion(playlist, expectedVersions(req))) {
+        return sendVersionConflict(res, playlist, 'Playlist');
+      }
+
       // Add tracks to playlist (avoid duplicates)
       for (const trackId of trackIds) {
         if (!playlist.tracks.includes(trackId)) {
@@ -321,6 +388,7 @@ router.put('/:id/tracks',
       await playlist.save();
       await playlist.populate('tracks');
 
+      setVersionTag(res, playlist);
       res.json({
         success: true,
         message: 'Tracks added to playlist successfully',
@@ -342,6 +410,7 @@ router.delete('/:id/tracks/:trackId',
   authenticate,
   param('id').isMongoId().withMessage('Invalid playlist ID'),
   param('trackId').isMongoId().withMessage('Invalid track ID'),
+  versionRule,
   handleValidationErrors,
   async (req, res) => {
     try {
@@ -356,12 +425,17 @@ router.delete('/:id/tracks/:trackId',
         });
       }
 
+      if (!matchesVersion(playlist, expectedVersions(req))) {
+        return sendVersionConflict(res, playlist, 'Playlist');
+      }
+
       // Remove track from playlist
       playlist.tracks = playlist.tracks.filter(track => track.toString() !== trackId);
 
       await playlist.save();
       await playlist.populate('tracks');
 
+      setVersionTag(res, playlist);
       res.json({
         success: true,
         message: 'Track removed from playlist successfully',
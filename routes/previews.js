@@ -0,0 +1,265 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/index.js';
+import Page from '../models/Page.js';
+import PageRevision, { REVISION_FIELDS } from '../models/PageRevision.js';
+import PreviewToken from '../models/PreviewToken.js';
+
+const router = express.Router();
+
+const PREVIEW_AUDIENCE = 'page-preview';
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+const previewSecret = () => (
+  process.env.PREVIEW_TOKEN_SECRET || process.env.JWT_SECRET || 'your-secret-key-change-in-production'
+);
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// POST /api/previews - Mint a preview link for a page (optionally a specific revision)
+router.post('/',
+  authenticate,
+  body('pageId').isMongoId().withMessage('Invalid page ID'),
+  body('revision').optional().isInt({ min: 1 }).withMessage('Revision must be a positive integer').toInt(),
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRY_HOURS })
+    .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_HOURS} hours`)
+    .toInt(),
+  body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot be more than 200 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { pageId, revision, expiresInHours = DEFAULT_EXPIRY_HOURS, note } = req.body;
+
+      const page = await Page.findById(pageId).select('title slug');
+      if (!page) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page not found'
+        });
+      }
+
+      if (revision && !(await PageRevision.exists({ page: pageId, revision }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+      const record = await PreviewToken.create({
+        page: page._id,
+        revision,
+        note,
+        createdBy: req.user._id,
+        expiresAt
+      });
+
+      const token = jwt.sign(
+        { previewId: record._id.toString() },
+        previewSecret(),
+        { audience: PREVIEW_AUDIENCE, expiresIn: expiresInHours * 60 * 60 }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Preview link created successfully',
+        data: {
+          id: record._id,
+          token,
+          url: `${req.baseUrl}/${token}`,
+          page: { id: page._id, title: page.title, slug: page.slug },
+          revision: record.revision,
+          expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('Error creating preview link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating preview link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/previews - List outstanding preview links, optionally for one page
+router.get('/',
+  authenticate,
+  query('pageId').optional().isMongoId().withMessage('Invalid page ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const filter = { revokedAt: null, expiresAt: { $gt: new Date() } };
+      if (req.query.pageId) {
+        filter.page = req.query.pageId;
+      }
+
+      const previews = await PreviewToken.find(filter)
+        .populate('page', 'title slug')
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: previews
+      });
+    } catch (error) {
+      console.error('Error fetching preview links:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching preview links',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/previews?pageId= - Revoke every outstanding preview link for a page
+router.delete('/',
+  authenticate,
+  query('pageId').isMongoId().withMessage('Invalid page ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await PreviewToken.updateMany(
+        { page: req.query.pageId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+
+      res.json({
+        success: true,
+        message: 'Preview links revoked successfully',
+        data: { revoked: result.modifiedCount }
+      });
+    } catch (error) {
+      console.error('Error revoking preview links:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking preview links',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/previews/:id - Revoke a preview link
+router.delete('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid preview ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const preview = await PreviewToken.findOneAndUpdate(
+        { _id: req.params.id, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!preview) {
+        return res.status(404).json({
+          success: false,
+          message: 'Preview link not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Preview link revoked successfully',
+        data: { id: preview._id }
+      });
+    } catch (error) {
+      console.error('Error revoking preview link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking preview link',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// GET /api/previews/:token - Fetch the page behind a preview link, whatever its status
+router.get('/:token', async (req, res) => {
+  // Previews must never be cached or indexed
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Robots-Tag', 'noindex, nofollow');
+
+  let previewId;
+  try {
+    ({ previewId } = jwt.verify(req.params.token, previewSecret(), { audience: PREVIEW_AUDIENCE }));
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError' ? 'Preview link has expired' : 'Invalid preview link'
+    });
+  }
+
+  try {
+    const preview = await PreviewToken.findById(previewId);
+
+    if (!preview || !preview.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Preview link has been revoked or has expired'
+      });
+    }
+
+    const page = await Page.findById(preview.page);
+    if (!page) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page not found'
+      });
+    }
+
+    const data = page.toObject();
+    if (preview.revision) {
+      const revision = await PageRevision.findOne({ page: page._id, revision: preview.revision });
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+      for (const field of REVISION_FIELDS) {
+        data[field] = revision[field];
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        preview: {
+          revision: preview.revision,
+          expiresAt: preview.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching preview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching preview',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/index.js';
+import SlugRedirect from '../models/SlugRedirect.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// GET /api/redirects - List slug redirects
+router.get('/',
+  authenticate,
+  query('pageId').optional().isMongoId().withMessage('Invalid page ID'),
+  query('unusedSince').optional().isISO8601().withMessage('unusedSince must be a valid ISO 8601 date'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, pageId, unusedSince } = req.query;
+      const skip = (page - 1) * limit;
+
+      // Build query
+      let filter = {};
+
+      if (pageId) {
+        filter.page = pageId;
+      }
+
+      // Redirects nobody has followed since the given date are candidates for removal
+      if (unusedSince) {
+        filter.$or = [
+          { lastHitAt: { $exists: false } },
+          { lastHitAt: { $lt: new Date(unusedSince) } }
+        ];
+      }
+
+      const redirects = await SlugRedirect.find(filter)
+        .populate('page', 'title slug')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await SlugRedirect.countDocuments(filter);
+
+      res.json({
+        success: true,
+        data: {
+          redirects,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching redirects:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching redirects',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/redirects/:id - Remove a slug redirect, freeing the slug
+router.delete('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid redirect ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const redirect = await SlugRedirect.findByIdAndDelete(id);
+
+      if (!redirect) {
+        return res.status(404).json({
+          success: false,
+          message: 'Redirect not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Redirect deleted successfully',
+        data: { id: redirect._id, slug: redirect.slug }
+      });
+    } catch (error) {
+      console.error('Error deleting redirect:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting redirect',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
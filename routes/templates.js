@@ -0,0 +1,246 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/index.js';
+import PageTemplate, { FIELD_TYPES } from '../models/PageTemplate.js';
+import Page from '../models/Page.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules for creating/updating templates
+const templateValidationRules = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot be more than 100 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Slug cannot be more than 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+
+  body('fields')
+    .optional()
+    .isArray()
+    .withMessage('Fields must be an array'),
+
+  body('fields.*.key')
+    .notEmpty()
+    .withMessage('Field key is required'),
+
+  body('fields.*.type')
+    .isIn(FIELD_TYPES)
+    .withMessage(`Field type must be one of ${FIELD_TYPES.join(', ')}`)
+];
+
+// Report mongoose validation errors in the same shape as express-validator
+const sendModelValidationError = (error, res) => {
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: Object.values(error.errors).map(fieldError => ({
+      type: 'field',
+      location: 'body',
+      path: fieldError.path,
+      msg: fieldError.message
+    }))
+  });
+};
+
+const handleSaveError = (error, res, action) => {
+  console.error(`Error ${action} template:`, error);
+
+  if (error.name === 'ValidationError') {
+    return sendModelValidationError(error, res);
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: error.keyPattern?.slug
+        ? 'A template with this slug already exists'
+        : 'A template with this name already exists'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: `Error ${action} template`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// GET /api/templates - Get all page templates
+router.get('/', async (req, res) => {
+  try {
+    const templates = await PageTemplate.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/templates/:id - Get a single page template
+router.get('/:id',
+  param('id').isMongoId().withMessage('Invalid template ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const template = await PageTemplate.findById(req.params.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      console.error('Error fetching template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/templates - Create a new page template
+router.post('/',
+  authenticate,
+  templateValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, slug, description, fields } = req.body;
+
+      const template = new PageTemplate({ name, slug, description, fields });
+      await template.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        data: template
+      });
+    } catch (error) {
+      handleSaveError(error, res, 'creating');
+    }
+  }
+);
+
+// PUT /api/templates/:id - Update a page template
+// Existing page data is checked against the new fields the next time each page is saved
+router.put('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid template ID'),
+  templateValidationRules,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name, slug, description, fields } = req.body;
+
+      const template = await PageTemplate.findById(req.params.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      template.set({ name, description, fields: fields || [] });
+      if (slug) {
+        template.slug = slug;
+      }
+      await template.save();
+
+      res.json({
+        success: true,
+        message: 'Template updated successfully',
+        data: template
+      });
+    } catch (error) {
+      handleSaveError(error, res, 'updating');
+    }
+  }
+);
+
+// DELETE /api/templates/:id - Delete a page template that no page uses
+router.delete('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid template ID'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const pageCount = await Page.countDocuments({ template: id }).withTrashed();
+      if (pageCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Template is still used by pages (including pages in the trash)',
+          data: { pageCount }
+        });
+      }
+
+      const template = await PageTemplate.findByIdAndDelete(id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Template deleted successfully',
+        data: { id: template._id, name: template.name }
+      });
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting template',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -3,6 +3,16 @@ import { body, param, validationResult } from 'express-validator';
 import cors from 'cors';
 import { authenticate } from '../middleware/index.js';
 import Track from '../models/Track.js';
+import { purgeDateFor, purgeExpiredTrashIfDue, TRASH_RESOURCES } from '../utils/trash.js';
+import {
+  expectedVersions,
+  matchesVersion,
+  sendVersionConflict,
+  setVersionTag,
+  versionFilter
+} from '../utils/concurrency.js';
+import { sendNotModified, VALIDATOR_FIELDS } from '../utils/httpCache.js';
+import { preparePatch } from '../utils/patch.js';
 
 const router = express.Router();
 
@@ -80,6 +90,13 @@ const trackValidationRules = [
     .withMessage('Invalid playlist ID'),
 ];
 
+// Version the change is based on, when not sent as If-Match
+const versionRule = body('version')
+  .optional()
+  .isInt({ min: 0 })
+  .withMessage('Version must be a non-negative integer')
+  .toInt();
+
 // GET /api/tracks - Get all tracks
 router.get('/', cors({ origin: '*' }), async (req, res) => {
   try {
@@ -106,6 +123,25 @@ router.get('/', cors({ origin: '*' }), async (req, res) => {
       ];
     }
 
+    // Get total count for pagination
+    const total = await Track.countDocuments(query);
+
+    // Answer conditional GETs from the versions of the listed tracks and their
+    // playlists before loading and populating them in full
+    const listed = await Track.find(query)
+      .select(`${VALIDATOR_FIELDS} playlists`)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const Playlist = (await import('../models/Playlist.js')).default;
+    const linked = await Playlist.find({ _id: { $in: listed.flatMap(track => track.playlists) } })
+      .select(VALIDATOR_FIELDS)
+      .sort({ _id: 1 });
+
+    if (sendNotModified(req, res, { docs: [...listed, ...linked], variant: String(total), keys: ['tracks', 'playlists'] })) {
+      return;
+    }
+
     // Get tracks with pagination
     const tracks = await Track.find(query)
       .populate('playlists')
@@ -113,9 +149,6 @@ router.get('/', cors({ origin: '*' }), async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit));
 
-    // Get total count for pagination
-    const total = await Track.countDocuments(query);
-
     res.json({
       success: true,
       data: {
@@ -156,6 +189,7 @@ router.get('/:id',
         });
       }
 
+      setVersionTag(res, track);
       res.json({
         success: true,
         data: track
@@ -187,8 +221,9 @@ router.post('/',
       if (trackData.playlistId) {
         const Playlist = (await import('../models/Playlist.js')).default;
         try {
-          await Playlist.findByIdAndUpdate(
-            trackData.playlistId,
+          // updateOne, like other link edits, leaves the playlist's version alone
+          await Playlist.updateOne(
+            { _id: trackData.playlistId },
             { $addToSet: { tracks: track._id }, $inc: { trackCount: 1 } } // $addToSet prevents duplicates
           );
           // Also update track's playlists field
@@ -199,6 +234,7 @@ router.post('/',
         }
       }
 
+      setVersionTag(res, track);
       res.status(201).json({
         success: true,
         message: 'Track created successfully',
@@ -215,91 +251,125 @@ router.post('/',
   }
 );
 
-// PUT /api/tracks/:id - Update a track
-router.put('/:id',
-  authenticate,
-  param('id').isMongoId().withMessage('Invalid track ID'),
-  trackValidationRules,
-  handleValidationErrors,
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-      const updateData = req.body;
+// Apply an update to a track; shared by PUT and PATCH
+const updateTrack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
 
-      // Get the current track to compare playlists
-      const currentTrack = await Track.findById(id);
-      if (!currentTrack) {
-        return res.status(404).json({
-          success: false,
-          message: 'Track not found'
-        });
-      }
+    // Get the current track to compare playlists
+    const currentTrack = await Track.findById(id);
+    if (!currentTrack) {
+      return res.status(404).json({
+        success: false,
+        message: 'Track not found'
+      });
+    }
 
-      const track = await Track.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      );
+    const versions = expectedVersions(req);
+    if (!matchesVersion(currentTrack, versions)) {
+      return sendVersionConflict(res, currentTrack, 'Track');
+    }
 
-      // Handle playlist change
-      if (updateData.playlistId !== undefined) {
-        const Playlist = (await import('../models/Playlist.js')).default;
-        const oldPlaylists = currentTrack.playlists || [];
-        
-        // Remove track from old playlists
-        for (const playlistId of oldPlaylists) {
-          try {
-            await Playlist.findByIdAndUpdate(
-              playlistId,
-              { $pull: { tracks: id }, $inc: { trackCount: -1 } }
-            );
-          } catch (playlistError) {
-            console.error(`Error removing track from playlist ${playlistId}:`, playlistError);
-          }
-        }
+    // Only applies if nobody else saved the track since the version check above
+    const track = await Track.findOneAndUpdate(
+      { _id: id, ...versionFilter(versions) },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!track) {
+      const latestTrack = await Track.findById(id);
+      if (latestTrack) {
+        return sendVersionConflict(res, latestTrack, 'Track');
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Track not found'
+      });
+    }
 
-        // Add track to new playlist if provided
-        if (updateData.playlistId) {
-          try {
-            await Playlist.findByIdAndUpdate(
-              updateData.playlistId,
-              { $addToSet: { tracks: id }, $inc: { trackCount: 1 } }
-            );
-            track.playlists = [updateData.playlistId];
-          } catch (playlistError) {
-            console.error(`Error adding track to playlist ${updateData.playlistId}:`, playlistError);
-          }
-        } else {
-          track.playlists = [];
+    // Handle playlist change
+    if (updateData.playlistId !== undefined) {
+      const Playlist = (await import('../models/Playlist.js')).default;
+      const oldPlaylists = currentTrack.playlists || [];
+      
+      // Remove track from old playlists. Link edits use updateOne so they leave
+      // the playlists' versions alone.
+      for (const playlistId of oldPlaylists) {
+        try {
+          await Playlist.updateOne(
+            { _id: playlistId },
+            { $pull: { tracks: id }, $inc: { trackCount: -1 } }
+          );
+        } catch (playlistError) {
+          console.error(`Error removing track from playlist ${playlistId}:`, playlistError);
         }
       }
 
-      res.json({
-        success: true,
-        message: 'Track updated successfully',
-        data: track
-      });
-    } catch (error) {
-      console.error('Error updating track:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error updating track',
-        error: process.env.NODE_ENV === 'development' ? error.message : undefined
-      });
+      // Add track to new playlist if provided
+      if (updateData.playlistId) {
+        try {
+          await Playlist.updateOne(
+            { _id: updateData.playlistId },
+            { $addToSet: { tracks: id }, $inc: { trackCount: 1 } }
+          );
+          track.playlists = [updateData.playlistId];
+        } catch (playlistError) {
+          console.error(`Error adding track to playlist ${updateData.playlistId}:`, playlistError);
+        }
+      } else {
+        track.playlists = [];
+      }
     }
+
+    setVersionTag(res, track);
+    res.json({
+      success: true,
+      message: 'Track updated successfully',
+      data: track
+    });
+  } catch (error) {
+    console.error('Error updating track:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating track',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
+};
+
+// PUT /api/tracks/:id - Update a track
+router.put('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid track ID'),
+  versionRule,
+  trackValidationRules,
+  handleValidationErrors,
+  updateTrack
+);
+
+// PATCH /api/tracks/:id - Partially update a track with a JSON merge patch or JSON Patch
+router.patch('/:id',
+  authenticate,
+  param('id').isMongoId().withMessage('Invalid track ID'),
+  versionRule,
+  handleValidationErrors,
+  preparePatch({ model: Track, label: 'Track', rules: trackValidationRules, readOnly: ['playlists'] }),
+  updateTrack
 );
 
-// DELETE /api/tracks/:id - Delete a track
+// DELETE /api/tracks/:id - Move a track to the trash
 router.delete('/:id',
   authenticate,
   param('id').isMongoId().withMessage('Invalid track ID'),
+  versionRule,
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
 
-      const track = await Track.findByIdAndDelete(id);
+      const track = await Track.findById(id);
 
       if (!track) {
         return res.status(404).json({
@@ -308,10 +378,17 @@ router.delete('/:id',
         });
       }
 
+      if (!matchesVersion(track, expectedVersions(req))) {
+        return sendVersionConflict(res, track, 'Track');
+      }
+
+      await TRASH_RESOURCES.tracks.trash(track, req.user._id);
+      await purgeExpiredTrashIfDue();
+
       res.json({
         success: true,
-        message: 'Track deleted successfully',
-        data: { id: track._id, title: track.title }
+        message: 'Track moved to trash',
+        data: { id: track._id, title: track.title, purgeAt: purgeDateFor(track) }
       });
     } catch (error) {
       console.error('Error deleting track:', error);
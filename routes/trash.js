@@ -0,0 +1,184 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/index.js';
+import {
+  purgeDateFor,
+  purgeExpiredTrashIfDue,
+  TRASH_RESOURCES,
+  trashRetentionDays
+} from '../utils/trash.js';
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const resourceRule = param('resource')
+  .isIn(Object.keys(TRASH_RESOURCES))
+  .withMessage(`Resource must be one of ${Object.keys(TRASH_RESOURCES).join(', ')}`);
+
+const idRule = param('id').isMongoId().withMessage('Invalid ID');
+
+// Load the trashed item behind :resource/:id or answer 404
+const loadTrashedItem = async (req, res, next) => {
+  try {
+    const resource = TRASH_RESOURCES[req.params.resource];
+    const item = await resource.model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: `${resource.label} not found in trash`
+      });
+    }
+
+    req.resource = resource;
+    req.item = item;
+    next();
+  } catch (error) {
+    console.error('Error loading trashed item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error loading trashed item',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/trash - Count trashed items per resource
+router.get('/', authenticate, async (req, res) => {
+  try {
+    await purgeExpiredTrashIfDue();
+
+    const counts = {};
+    for (const [name, { model }] of Object.entries(TRASH_RESOURCES)) {
+      counts[name] = await model.countDocuments({ deletedAt: { $ne: null } });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        retentionDays: trashRetentionDays(),
+        counts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash summary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// GET /api/trash/:resource - List trashed pages, tracks or playlists (most recently deleted first)
+router.get('/:resource',
+  authenticate,
+  resourceRule,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+      const { model, listFields } = TRASH_RESOURCES[req.params.resource];
+
+      await purgeExpiredTrashIfDue();
+
+      const items = await model.findTrashed()
+        .select(listFields)
+        .populate('deletedBy', 'username email')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await model.countDocuments({ deletedAt: { $ne: null } });
+
+      res.json({
+        success: true,
+        data: {
+          items: items.map(item => ({ ...item.toObject(), purgeAt: purgeDateFor(item) })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching trash',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// POST /api/trash/:resource/:id/restore - Restore a trashed item and re-link its relationships
+router.post('/:resource/:id/restore',
+  authenticate,
+  resourceRule,
+  idRule,
+  handleValidationErrors,
+  loadTrashedItem,
+  async (req, res) => {
+    try {
+      await req.resource.restore(req.item);
+
+      res.json({
+        success: true,
+        message: `${req.resource.label} restored successfully`,
+        data: req.item
+      });
+    } catch (error) {
+      console.error('Error restoring item from trash:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error restoring item from trash',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// DELETE /api/trash/:resource/:id - Permanently delete a trashed item now
+router.delete('/:resource/:id',
+  authenticate,
+  resourceRule,
+  idRule,
+  handleValidationErrors,
+  loadTrashedItem,
+  async (req, res) => {
+    try {
+      await req.resource.purge(req.item);
+
+      res.json({
+        success: true,
+        message: `${req.resource.label} permanently deleted`,
+        data: { id: req.item._id, title: req.item.title }
+      });
+    } catch (error) {
+      console.error('Error purging item from trash:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error purging item from trash',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+export default router;
@@ -7,6 +7,8 @@ import dotenv from 'dotenv';
 
 // Import database connection
 import connectDB from './config/database.js';
+import Page from './models/Page.js';
+import MediaReference from './models/MediaReference.js';
 
 // Import routes
 import healthRoutes from './routes/health.js';
@@ -15,6 +17,18 @@ import authRoutes from './routes/auth.js';
 import pagesRoutes from './routes/pages.js';
 import tracksRoutes from './routes/tracks.js';
 import playlistsRoutes from './routes/playlists.js';
+import redirectsRoutes from './routes/redirects.js';
+import navigationRoutes from './routes/navigation.js';
+import groupsRoutes from './routes/groups.js';
+import localesRoutes from './routes/locales.js';
+import templatesRoutes from './routes/templates.js';
+import previewsRoutes from './routes/previews.js';
+import feedsRoutes from './routes/feeds.js';
+import analyticsRoutes from './routes/analytics.js';
+import trashRoutes from './routes/trash.js';
+import archiveRoutes from './routes/archive.js';
+import mediaRoutes from './routes/media.js';
+import linkAuditRoutes from './routes/linkAudit.js';
 
 // Import Swagger specs
 import { specs } from './swagger.js';
@@ -22,12 +36,36 @@ import { specs } from './swagger.js';
 // Load environment variables
 dotenv.config();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then fill in derived fields that pages saved before they
+// existed still lack, and the media usage index on first start. Runs in the
+// background so requests are not held up.
+connectDB()
+  .then(async () => {
+    await Page.backfillSearchText();
+    await Page.backfillContentStats();
+    await MediaReference.backfill();
+  })
+  .catch((error) => {
+    console.error('Error backfilling derived data:', error);
+  });
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Proxies in front of the app whose X-Forwarded-For entries req.ip may use
+// (rate limiting, analytics). TRUST_PROXY is a hop count, true/false, or
+// comma-separated addresses and subnets; the default trusts the one Vercel hop.
+const parseTrustProxy = (value = '1') => {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -51,6 +89,7 @@ const allowedOrigins = process.env.ALLOWED_ORIGINS
 const corsOptions = {
   origin: allowedOrigins,
   credentials: true,
+  exposedHeaders: ['ETag', 'X-Version'], // Lets the admin UI read document versions for If-Match
   optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
 };
 
@@ -59,7 +98,7 @@ app.use(helmet()); // Security headers
 app.use(cors(corsOptions)); // Enable CORS with specific origins
 app.use(morgan('combined')); // Logging
 app.use(limiter); // Rate limiting
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/*+json'] })); // Parse JSON bodies, including merge patches and JSON Patch
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Routes
@@ -68,6 +107,18 @@ app.use('/api/auth', authRoutes);
 app.use('/api/pages', pagesRoutes);
 app.use('/api/tracks', tracksRoutes);
 app.use('/api/playlists', playlistsRoutes);
+app.use('/api/redirects', redirectsRoutes);
+app.use('/api/navigation', navigationRoutes);
+app.use('/api/groups', groupsRoutes);
+app.use('/api/locales', localesRoutes);
+app.use('/api/templates', templatesRoutes);
+app.use('/api/previews', previewsRoutes);
+app.use('/api/feeds', feedsRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/archive', archiveRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/link-audit', linkAuditRoutes);
 app.use('/api', apiRoutes);
 
 // Swagger documentation
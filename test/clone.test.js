@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { copySlug, groupCopySlug } from '../utils/clone.js';
+
+test('copySlug defaults to <slug>-copy', () => {
+  assert.equal(copySlug('about'), 'about-copy');
+  assert.equal(copySlug('about', ''), 'about-copy');
+});
+
+test('copySlug slugifies a requested slug', () => {
+  assert.equal(copySlug('about', 'About Us!'), 'about-us');
+});
+
+test('copySlug falls back to <slug>-copy when nothing of the requested slug survives', () => {
+  for (const slug of ['!!!', '   ', '()', '"\'']) {
+    assert.equal(copySlug('about', slug), 'about-copy', JSON.stringify(slug));
+  }
+});
+
+test('copySlug stays within the page slug limit', () => {
+  const slug = copySlug('a'.repeat(100));
+  assert.equal(slug.length, 100);
+  assert.ok(slug.endsWith('-copy'));
+});
+
+test('groupCopySlug joins page and group slugs within the page slug limit', () => {
+  assert.equal(groupCopySlug('intro', 'news-2024'), 'intro-news-2024');
+  assert.equal(groupCopySlug('a'.repeat(100), 'news').length, 100);
+  assert.equal(groupCopySlug('a'.repeat(98), 'b-c'), `${'a'.repeat(98)}-b`);
+  // A cut right after a hyphen leaves no trailing hyphen
+  assert.equal(groupCopySlug('a'.repeat(99), 'news'), 'a'.repeat(99));
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { expectedVersions, matchesVersion, setVersionHeader, setVersionTag, versionFilter } from '../utils/concurrency.js';
+
+const request = (ifMatch, body = {}) => ({ body, get: name => (name === 'If-Match' ? ifMatch : undefined) });
+
+const response = () => {
+  const headers = {};
+  return { headers, set: (name, value) => { headers[name] = value; } };
+};
+
+test('expectedVersions reads If-Match before the version body field', () => {
+  assert.deepEqual(expectedVersions(request('"7"', { version: 3 })), [7]);
+  assert.deepEqual(expectedVersions(request('"7", "8"')), [7, 8]);
+  assert.deepEqual(expectedVersions(request(undefined, { version: 3 })), [3]);
+  assert.equal(expectedVersions(request(undefined)), null);
+  assert.equal(expectedVersions(request('*', { version: 3 })), null);
+});
+
+test('weak and content ETags never match a version', () => {
+  const versions = expectedVersions(request('W/"7", "Xk3a9"'));
+  assert.deepEqual(versions, []);
+  assert.equal(matchesVersion({ version: 7 }, versions), false);
+});
+
+test('documents saved before versioning count as version 0', () => {
+  assert.equal(matchesVersion({}, [0]), true);
+  assert.deepEqual(versionFilter([0]), { version: { $in: [0, null] } });
+  assert.deepEqual(versionFilter(null), {});
+});
+
+test('version headers: X-Version always, the ETag only when asked for', () => {
+  const tagged = response();
+  setVersionTag(tagged, { version: 4 });
+  assert.deepEqual(tagged.headers, { 'X-Version': '4', ETag: '"4"' });
+
+  const cached = response();
+  setVersionHeader(cached, {});
+  assert.deepEqual(cached.headers, { 'X-Version': '0' });
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addHeadingAnchors, contentStats } from '../utils/contentStats.js';
+
+test('headings get anchors from their text, numbered when repeated', () => {
+  const { content, outline } = addHeadingAnchors('<h2>Getting started</h2><p>x</p><h3 class="a" id="old">Getting started</h3><h2><b></b></h2>');
+
+  assert.equal(content, '<h2 id="getting-started">Getting started</h2><p>x</p><h3 id="getting-started-2" class="a">Getting started</h3><h2><b></b></h2>');
+  assert.deepEqual(outline, [
+    { level: 2, text: 'Getting started', anchor: 'getting-started' },
+    { level: 3, text: 'Getting started', anchor: 'getting-started-2' }
+  ]);
+});
+
+test('headings without slug-able text are anchored as sections', () => {
+  assert.deepEqual(addHeadingAnchors('<h1>!!!</h1>').outline, [{ level: 1, text: '!!!', anchor: 'section' }]);
+});
+
+test('words count letters and digits, keeping apostrophes and hyphens inside words', () => {
+  const stats = contentStats("<p>Don't re-use 42 <b>bold</b> words — ok?</p>");
+  assert.equal(stats.wordCount, 6);
+  assert.equal(stats.readingTime, 1);
+});
+
+test('reading time is whole minutes at 200 words a minute, 0 for no text', () => {
+  assert.equal(contentStats(`<p>${'word '.repeat(201)}</p>`).readingTime, 2);
+  assert.equal(contentStats('<p></p>').readingTime, 0);
+  assert.equal(contentStats(undefined).wordCount, 0);
+});
+
+test('the excerpt reads from body text and is cut on a word boundary', () => {
+  const stats = contentStats(`<h1>Title</h1><p>${'lorem ipsum '.repeat(30)}</p>`);
+
+  assert.ok(!stats.excerpt.startsWith('Title'));
+  assert.ok(stats.excerpt.length <= 200);
+  assert.match(stats.excerpt, /ipsum…$|lorem…$/);
+  assert.equal(contentStats('<h1>Only a heading</h1>').excerpt, 'Only a heading');
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyLink, isPublicAddress, LINK_FETCHERS } from '../utils/linkAudit.js';
+
+const sites = [{ title: 'Example', baseUrl: 'https://example.com', pagePath: '/{path}' }];
+
+test('isPublicAddress refuses loopback, private, link-local and reserved ranges', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '224.0.0.1', '::1', '::', 'fc00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:127.0.0.1'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('isPublicAddress accepts public IPv4 and IPv6 addresses', () => {
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:2800:220:1::', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('isPublicAddress refuses anything that is not an IP address', () => {
+  assert.equal(isPublicAddress('localhost'), false);
+  assert.equal(isPublicAddress(''), false);
+});
+
+test('the http fetcher refuses non-public hosts before sending anything', async () => {
+  const { checkUrl } = LINK_FETCHERS.http({ timeoutMs: 2000 });
+
+  for (const url of ['http://127.0.0.1:9/', 'http://[::1]:9/', 'http://169.254.169.254/latest/meta-data/', 'http://localhost:9/']) {
+    assert.deepEqual(await checkUrl(url), { ok: false, error: 'the address is not public' }, url);
+  }
+});
+
+test('classifyLink sorts links into internal pages, assets and external URLs', () => {
+  assert.equal(classifyLink('https://example.com/docs/setup', sites).type, 'internal');
+  assert.equal(classifyLink('/docs/setup', sites).type, 'internal');
+  assert.equal(classifyLink('https://other.org/page', sites).type, 'external');
+  assert.equal(classifyLink('ftp://other.org/file', sites).type, 'unresolved');
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyJsonPatch, applyMergePatch } from '../utils/patch.js';
+
+test('merge patches set, replace and remove keys, recursing into objects', () => {
+  const page = { title: 'A', audioUrl: 'x', seo: { metaTitle: 'M', noindex: true }, groups: ['a'] };
+  const patched = applyMergePatch(page, { title: 'B', audioUrl: null, seo: { noindex: null }, groups: ['b'] });
+
+  assert.deepEqual(patched, { title: 'B', seo: { metaTitle: 'M' }, groups: ['b'] });
+  assert.equal(page.title, 'A');
+});
+
+test('merge patches refuse prototype keys', () => {
+  assert.throws(() => applyMergePatch({}, JSON.parse('{"__proto__":{"polluted":true}}')), /not allowed/);
+  assert.throws(() => applyMergePatch({}, { seo: { constructor: {} } }), /not allowed/);
+  assert.equal({}.polluted, undefined);
+});
+
+test('JSON Patch applies operations in order without touching the input', () => {
+  const page = { groups: ['a', 'b'], seo: { metaTitle: 'M' } };
+  const patched = applyJsonPatch(page, [
+    { op: 'add', path: '/groups/-', value: 'c' },
+    { op: 'remove', path: '/groups/0' },
+    { op: 'replace', path: '/seo/metaTitle', value: 'N' },
+    { op: 'copy', from: '/seo/metaTitle', path: '/title' },
+    { op: 'move', from: '/title', path: '/description' },
+    { op: 'test', path: '/groups', value: ['b', 'c'] }
+  ]);
+
+  assert.deepEqual(patched, { groups: ['b', 'c'], seo: { metaTitle: 'N' }, description: 'N' });
+  assert.deepEqual(page, { groups: ['a', 'b'], seo: { metaTitle: 'M' } });
+});
+
+test('JSON Patch pointers unescape ~1 and ~0', () => {
+  assert.deepEqual(applyJsonPatch({ fields: {} }, [{ op: 'add', path: '/fields/a~1b~0c', value: 1 }]), { fields: { 'a/b~c': 1 } });
+});
+
+test('JSON Patch refuses malformed operations and missing paths', () => {
+  assert.throws(() => applyJsonPatch({}, [{ op: 'test', path: '/title', value: 'A' }]), /does not exist/);
+  assert.throws(() => applyJsonPatch({ title: 'A' }, [{ op: 'test', path: '/title', value: 'B' }]), /Test failed/);
+  assert.throws(() => applyJsonPatch({}, [{ op: 'add', path: '/title' }]), /needs a value/);
+  assert.throws(() => applyJsonPatch({}, [{ op: 'rename', path: '/title' }]), /unknown op/);
+  assert.throws(() => applyJsonPatch({}, [{ op: 'add', path: 'title', value: 1 }]), /not a JSON pointer/);
+  assert.throws(() => applyJsonPatch({ groups: [] }, [{ op: 'add', path: '/groups/5', value: 'a' }]), /not a valid array position/);
+  assert.throws(() => applyJsonPatch({ seo: {} }, [{ op: 'move', from: '/seo', path: '/seo/inner' }]), /into itself/);
+  assert.throws(() => applyJsonPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: true }]), /not allowed/);
+});
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// Overrides are read once, on first use
+process.env.SANITIZE_ALLOWLIST = JSON.stringify({
+  '*': { allowedStyles: { '*': { color: ['^currentcolor$'] } } },
+  summernote: { allowedTags: ['mark'], allowedStyles: { '*': { 'text-indent': ['^\\d+px$'] } } }
+});
+
+const { sanitizeContent } = await import('../utils/sanitize.js');
+
+test('style overrides widen the built-in patterns instead of replacing them', () => {
+  assert.equal(
+    sanitizeContent('<p style="color:#ff0000">a</p><p style="color:currentColor">b</p>', 'quill'),
+    '<p style="color:#ff0000">a</p><p style="color:currentColor">b</p>'
+  );
+});
+
+test('overrides for one editor leave the other alone', () => {
+  assert.equal(sanitizeContent('<mark style="text-indent:4px">a</mark>', 'summernote'), '<mark style="text-indent:4px">a</mark>');
+  assert.equal(sanitizeContent('<p style="text-indent:4px">a</p>', 'quill'), '<p>a</p>');
+});
+
+test('scripts and event handlers are removed', () => {
+  assert.equal(sanitizeContent('<p onclick="x()">a</p><script>alert(1)</script>', 'summernote'), '<p>a</p>');
+});
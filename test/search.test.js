@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSnippet, extractTerms } from '../utils/search.js';
+
+test('extractTerms drops quotes, exclusions and one-letter terms', () => {
+  assert.deepEqual(extractTerms('"linux setup" -windows a'), ['linux', 'setup', 'windows']);
+});
+
+test('buildSnippet highlights every occurrence of every term', () => {
+  assert.equal(
+    buildSnippet('Install Linux, then set up Linux again', 'linux setup'),
+    'Install <mark>Linux</mark>, then set up <mark>Linux</mark> again'
+  );
+});
+
+test('buildSnippet escapes the text around and inside highlights', () => {
+  assert.equal(
+    buildSnippet('<b>Tom & Jerry</b>', 'jerry'),
+    '&lt;b&gt;Tom &amp; <mark>Jerry</mark>&lt;/b&gt;'
+  );
+});
+
+test('buildSnippet never matches terms inside the entities it adds', () => {
+  assert.equal(buildSnippet('a & b amp', 'amp'), 'a &amp; b <mark>amp</mark>');
+  assert.equal(buildSnippet('x < y', 'lt'), 'x &lt; y');
+});
+
+test('buildSnippet starts near the first match on a word boundary and marks cuts', () => {
+  const text = `${'lorem ipsum '.repeat(20)}needle ${'dolor sit '.repeat(20)}`;
+  const snippet = buildSnippet(text, 'needle', 60);
+
+  assert.match(snippet, /^…\S/);
+  assert.match(snippet, /…$/);
+  assert.ok(snippet.includes('<mark>needle</mark>'));
+  assert.ok(snippet.length <= 60 + '<mark></mark>'.length + 2);
+});
+
+test('buildSnippet without terms returns the escaped start of the text', () => {
+  assert.equal(buildSnippet('a < b', ''), 'a &lt; b');
+  assert.equal(buildSnippet('', 'term'), '');
+});
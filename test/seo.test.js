@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHeadTags, openGraphLocale, renderHeadTags, resolveSeo } from '../utils/seo.js';
+
+const site = { title: 'Example', baseUrl: 'https://example.com', pagePath: '/{path}' };
+
+test('openGraphLocale writes language_TERRITORY', () => {
+  assert.equal(openGraphLocale('pt-br'), 'pt_BR');
+  assert.equal(openGraphLocale('EN-us'), 'en_US');
+  assert.equal(openGraphLocale('es-419'), 'es_419');
+  assert.equal(openGraphLocale('zh-hant-tw'), 'zh_TW');
+  assert.equal(openGraphLocale('sr-latn'), 'sr');
+  assert.equal(openGraphLocale('en'), 'en');
+  assert.equal(openGraphLocale(undefined), undefined);
+});
+
+test('resolveSeo falls back to page fields and converts the locale', () => {
+  const seo = resolveSeo({ title: 'Guide', description: 'How to', slug: 'guide', locale: 'pt-br' }, site);
+
+  assert.equal(seo.canonicalUrl, 'https://example.com/guide');
+  assert.equal(seo.openGraph.title, 'Guide');
+  assert.equal(seo.openGraph.locale, 'pt_BR');
+  assert.equal(seo.robots, 'index, follow');
+  assert.equal(seo.twitter.card, 'summary');
+});
+
+test('rendered head tags are escaped and JSON-LD cannot close its script', () => {
+  const seo = resolveSeo({ title: 'A "quoted" <title>', description: 'd', slug: 'a' }, site);
+  const html = renderHeadTags(buildHeadTags(seo, { headline: '</script>' }));
+
+  assert.ok(html.includes('<title>A &quot;quoted&quot; &lt;title&gt;</title>'));
+  assert.ok(html.includes('"headline":"\\u003c/script>"'));
+});
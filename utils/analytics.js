@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import { getAnalyticsConfig } from '../config/analytics.js';
+import { getSites } from '../config/sites.js';
+
+export const GRANULARITIES = ['hour', 'day'];
+export const DIRECT_REFERRER = '(direct)';
+export const INTERNAL_REFERRER = '(internal)';
+export const UNKNOWN_COUNTRY = '(unknown)';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime/i;
+
+// Start of the UTC hour or day containing a date
+export const bucketStart = (date, granularity) => {
+  const size = granularity === 'hour' ? HOUR : DAY;
+  return new Date(Math.floor(date.getTime() / size) * size);
+};
+
+// Every bucket start from one date to another, inclusive
+export const bucketRange = (from, to, granularity) => {
+  const size = granularity === 'hour' ? HOUR : DAY;
+  const buckets = [];
+  for (let time = bucketStart(from, granularity).getTime(); time <= to.getTime(); time += size) {
+    buckets.push(new Date(time));
+  }
+  return buckets;
+};
+
+export const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// Client address as resolved by Express; only the proxies allowed by the
+// `trust proxy` setting (TRUST_PROXY) can set it through X-Forwarded-For
+export const clientIp = (req) => req.ip || '';
+
+// Two-letter country code from the first configured geo header present
+export const countryFrom = (req) => {
+  for (const header of getAnalyticsConfig().countryHeaders) {
+    const value = req.headers[header];
+    if (value && /^[a-z]{2}$/i.test(value) && value.toUpperCase() !== 'XX') {
+      return value.toUpperCase();
+    }
+  }
+  return UNKNOWN_COUNTRY;
+};
+
+// Reduce a referrer URL to its host; links from our own sites count as internal
+export const referrerSource = (referrer) => {
+  if (!referrer) {
+    return DIRECT_REFERRER;
+  }
+
+  let host;
+  try {
+    host = new URL(referrer).hostname.toLowerCase();
+  } catch (error) {
+    return DIRECT_REFERRER;
+  }
+  if (!host) {
+    return DIRECT_REFERRER;
+  }
+
+  const ownHosts = getSites().map(site => new URL(site.baseUrl).hostname.toLowerCase());
+  if (ownHosts.includes(host)) {
+    return INTERNAL_REFERRER;
+  }
+  return host.replace(/^www\./, '');
+};
+
+// Key identifying one visitor's view of a page within the current dedup window.
+// The window start is part of the hash, so keys can't be linked across windows.
+export const visitKey = (req, pageId, now = new Date()) => {
+  const { dedupMinutes, salt } = getAnalyticsConfig();
+  const windowSize = dedupMinutes * 60 * 1000;
+  const windowStart = Math.floor(now.getTime() / windowSize) * windowSize;
+
+  const key = crypto
+    .createHmac('sha256', salt)
+    .update([windowStart, pageId, clientIp(req), req.headers['user-agent'] || ''].join('|'))
+    .digest('hex');
+
+  return { key, expiresAt: new Date(windowStart + windowSize) };
+};
@@ -0,0 +1,140 @@
+import AdmZip from 'adm-zip';
+import { htmlToMarkdown } from './render.js';
+
+// Page archive layout:
+//   manifest.json            { format, version, exportedAt, filters, pageCount }
+//   pages/<slug>/page.json   page metadata (see serializePage)
+//   pages/<slug>/content.html  stored HTML content, the copy used on import
+//   pages/<slug>/content.md    Markdown rendering for reading and diffing outside the CMS
+export const ARCHIVE_FORMAT = 'da-pages-archive';
+export const ARCHIVE_VERSION = 1;
+
+const MAX_ARCHIVE_PAGES = 5000;
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+const PAGE_FOLDER = /^pages\/([^/]+)\/(page\.json|content\.html|content\.md)$/;
+
+// Metadata for page.json. References to other documents are written as slugs
+// (parent, template) or opaque keys (translations), since IDs differ between databases.
+export const serializePage = (page, { parentSlug, templateSlug } = {}) => ({
+  slug: page.slug,
+  title: page.title,
+  description: page.description,
+  imageUrl: page.imageUrl,
+  thumbnailUrl: page.thumbnailUrl,
+  audioUrl: page.audioUrl,
+  groups: page.groups,
+  editorType: page.editorType,
+  delta: page.delta,
+  locale: page.locale,
+  translationKey: page.translationGroup ? page.translationGroup.toString() : undefined,
+  parentSlug: parentSlug || undefined,
+  order: page.order,
+  status: page.status,
+  publishAt: page.publishAt,
+  unpublishAt: page.unpublishAt,
+  publishedAt: page.publishedAt,
+  template: templateSlug || undefined,
+  fields: page.fields,
+  seo: page.seo,
+  createdAt: page.createdAt,
+  updatedAt: page.updatedAt
+});
+
+// Files written for one page
+export const pageFiles = (page, references) => {
+  const folder = `pages/${page.slug}`;
+  return [
+    { name: `${folder}/page.json`, content: JSON.stringify(serializePage(page, references), null, 2) },
+    { name: `${folder}/content.html`, content: page.content || '' },
+    { name: `${folder}/content.md`, content: htmlToMarkdown(page.content) }
+  ];
+};
+
+export const buildManifest = (filters, pageCount) => JSON.stringify({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  exportedAt: new Date(),
+  filters,
+  pageCount
+}, null, 2);
+
+// Read an uploaded archive. Throws an error with a client-facing message when
+// the file is not a usable archive; per-page problems are returned as entry errors.
+export const readArchive = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new Error('Archive is not a valid zip file');
+  }
+
+  const entries = zip.getEntries();
+  const uncompressed = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (uncompressed > MAX_UNCOMPRESSED_BYTES) {
+    throw new Error('Archive is too large once extracted');
+  }
+
+  const manifestEntry = zip.getEntry('manifest.json');
+  let manifest;
+  try {
+    manifest = manifestEntry && JSON.parse(manifestEntry.getData().toString('utf8'));
+  } catch (error) {
+    manifest = null;
+  }
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('Archive has no page archive manifest');
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Archive version ${manifest.version} is newer than this server supports`);
+  }
+
+  const folders = new Map();
+  for (const entry of entries) {
+    const match = PAGE_FOLDER.exec(entry.entryName);
+    if (!match || entry.isDirectory) {
+      continue;
+    }
+    const [, folder, file] = match;
+    if (!folders.has(folder)) {
+      folders.set(folder, {});
+    }
+    folders.get(folder)[file] = entry.getData().toString('utf8');
+  }
+
+  if (folders.size > MAX_ARCHIVE_PAGES) {
+    throw new Error(`Archive cannot contain more than ${MAX_ARCHIVE_PAGES} pages`);
+  }
+
+  const pages = [];
+  for (const [folder, files] of folders) {
+    const errors = [];
+    let meta = null;
+
+    if (!files['page.json']) {
+      errors.push('page.json is missing');
+    } else {
+      try {
+        meta = JSON.parse(files['page.json']);
+      } catch (error) {
+        errors.push('page.json is not valid JSON');
+      }
+    }
+    if (meta && (typeof meta !== 'object' || Array.isArray(meta))) {
+      meta = null;
+      errors.push('page.json must contain an object');
+    }
+    if (files['content.html'] === undefined) {
+      errors.push('content.html is missing');
+    }
+
+    pages.push({
+      folder,
+      meta: meta || {},
+      content: files['content.html'] || '',
+      errors
+    });
+  }
+
+  return { manifest, pages };
+};
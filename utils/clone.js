@@ -0,0 +1,132 @@
+import Page, { toSlug } from '../models/Page.js';
+import PageRevision from '../models/PageRevision.js';
+
+// Fields a clone copies from its source. Everything else is derived again
+// (slug, hierarchy, translation group, publishedAt) or starts fresh.
+const CLONED_FIELDS = [
+  'title',
+  'description',
+  'imageUrl',
+  'thumbnailUrl',
+  'audioUrl',
+  'content',
+  'delta',
+  'editorType',
+  'groups',
+  'locale',
+  'template',
+  'fields',
+  'seo',
+  'status',
+  'publishAt',
+  'unpublishAt'
+];
+
+const COPY_SUFFIX = ' (copy)';
+
+// Slug a copy starts from: the requested one, or "<slug>-copy" when none was
+// given or nothing of it survives slugification (e.g. only punctuation)
+export const copySlug = (sourceSlug, slug) => (slug && toSlug(slug))
+  || toSlug(`${sourceSlug.slice(0, 95)}-copy`);
+
+// Slug of a page copied into another group. Group slugs can be as long as page
+// slugs, so the pair is cut to the page slug limit.
+export const groupCopySlug = (sourceSlug, targetSlug) => `${sourceSlug}-${targetSlug}`
+  .slice(0, 100)
+  .replace(/-+$/, '');
+
+// Unsaved copy of a page
+//   title     defaults to "<title> (copy)"
+//   slug      defaults to "<slug>-copy" (see copySlug); made unique either way
+//   groups    replaces the source's groups
+//   draft     start as a draft instead of with the source's status and schedule
+//   parent    parent page ID, null for the root; defaults to the source's parent
+//   reserved  slugs already handed out to other clones in the same batch
+export const buildClone = async (source, { title, slug, groups, draft = false, parent, reserved = new Set() } = {}) => {
+  const original = source.toObject({ depopulate: true });
+  const data = {};
+  for (const field of CLONED_FIELDS) {
+    if (original[field] !== undefined) {
+      data[field] = structuredClone(original[field]);
+    }
+  }
+
+  data.title = title || `${source.title.slice(0, 200 - COPY_SUFFIX.length)}${COPY_SUFFIX}`;
+  data.slug = await Page.uniqueSlug(copySlug(source.slug, slug), reserved);
+  reserved.add(data.slug);
+
+  if (groups) {
+    data.groups = groups;
+  }
+  if (draft) {
+    data.status = 'draft';
+    delete data.publishAt;
+    delete data.unpublishAt;
+  }
+  // The source's canonical URL would tell search engines the copy is a duplicate
+  if (data.seo?.canonicalUrl) {
+    delete data.seo.canonicalUrl;
+  }
+
+  const parentId = parent !== undefined ? parent : source.parent;
+  const placement = await Page.resolvePlacement(parentId, data.slug)
+    || await Page.resolvePlacement(null, data.slug);
+
+  // Clones go after their new siblings
+  const lastSibling = await Page.findOne({ parent: placement.parent })
+    .sort({ order: -1 })
+    .select('order');
+
+  return new Page({
+    ...data,
+    ...placement,
+    order: lastSibling ? lastSibling.order + 1 : 0
+  });
+};
+
+export const clonePage = async (source, options, userId) => {
+  const page = await buildClone(source, options);
+  await page.save();
+  await PageRevision.record(page, userId);
+  return page;
+};
+
+// Clone every page of a group into another group. Pages keep their titles and
+// get "<slug>-<target group>" slugs; hierarchy and translations between cloned
+// pages are rebuilt between the clones. Returns [{ source, page }] in clone order.
+export const cloneGroupPages = async (sourceSlug, targetSlug, { draft = false } = {}, userId) => {
+  const sources = await Page.find({ groups: sourceSlug });
+  // Parents before their children, so children can be placed under the clones
+  sources.sort((a, b) => (a.ancestors || []).length - (b.ancestors || []).length || a.order - b.order);
+
+  const cloneIds = new Map();
+  const translationGroups = new Map();
+  const reserved = new Set();
+  const clones = [];
+
+  for (const source of sources) {
+    const page = await buildClone(source, {
+      title: source.title,
+      slug: groupCopySlug(source.slug, targetSlug),
+      groups: [...new Set(source.groups.map(group => (group === sourceSlug ? targetSlug : group)))],
+      draft,
+      parent: source.parent ? (cloneIds.get(source.parent.toString()) ?? source.parent) : null,
+      reserved
+    });
+
+    const translationKey = (source.translationGroup || source._id).toString();
+    if (translationGroups.has(translationKey)) {
+      page.translationGroup = translationGroups.get(translationKey);
+    } else {
+      translationGroups.set(translationKey, page._id);
+    }
+
+    await page.save();
+    await PageRevision.record(page, userId);
+
+    cloneIds.set(source._id.toString(), page._id);
+    clones.push({ source, page });
+  }
+
+  return clones;
+};
@@ -0,0 +1,64 @@
+// Optimistic concurrency for pages, tracks and playlists.
+//
+// Documents carry a `version` (models/plugins/versioning.js) that is sent in the
+// X-Version header of every single-document response, e.g. X-Version: 7, and as
+// the ETag of responses that are not HTTP-cached (by-id reads and writes). Cached
+// reads keep a content ETag for If-None-Match instead (utils/httpCache.js).
+// Updates and deletes name the version they were based on with If-Match: "7" or a
+// `version` body field; when the document has moved on since, they are refused
+// with 412 and the current server copy.
+
+export const VERSION_HEADER = 'X-Version';
+
+export const versionTag = (doc) => `"${doc.version ?? 0}"`;
+
+export const setVersionHeader = (res, doc) => res.set(VERSION_HEADER, String(doc.version ?? 0));
+
+export const setVersionTag = (res, doc) => {
+  setVersionHeader(res, doc);
+  res.set('ETag', versionTag(doc));
+};
+
+// Versions the client's change may apply to, or null when it did not ask for a check.
+// If-Match wins over the body field; "*" and weak tags follow RFC 9110 (any version
+// and never matching, respectively).
+export const expectedVersions = (req) => {
+  const header = req.get('If-Match');
+  if (header) {
+    if (header.trim() === '*') {
+      return null;
+    }
+    return header
+      .split(',')
+      .map(tag => /^"(\d+)"$/.exec(tag.trim()))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10));
+  }
+
+  const version = req.body?.version;
+  return version === undefined || version === null ? null : [Number(version)];
+};
+
+export const matchesVersion = (doc, versions) => !versions || versions.includes(doc.version ?? 0);
+
+// Query conditions that only match the expected versions. Documents saved before
+// versioning have no version field and count as version 0.
+export const versionFilter = (versions) => {
+  if (!versions) {
+    return {};
+  }
+  return { version: { $in: versions.includes(0) ? [...versions, null] : versions } };
+};
+
+// 412 with the current server copy so the client can merge
+export const sendVersionConflict = (res, doc, label) => {
+  setVersionTag(res, doc);
+  return res.status(412).json({
+    success: false,
+    message: `${label} was changed by someone else since you loaded it`,
+    data: {
+      version: doc.version ?? 0,
+      current: doc
+    }
+  });
+};
@@ -0,0 +1,71 @@
+import slugify from 'slugify';
+import { stripHtml } from './html.js';
+
+// Figures derived from page content on every save, stored on the page so list
+// responses (which leave content out) can show them too
+export const CONTENT_STATS_FIELDS = ['wordCount', 'readingTime', 'outline', 'excerpt'];
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+const HEADING = /<h([1-6])((?:\s[^>]*)?)>([\s\S]*?)<\/h\1>/gi;
+const ID_ATTRIBUTE = /\s+id\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi;
+// Words are runs of letters and digits, allowing inner apostrophes and hyphens
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const countWords = (text) => (text.match(WORD) || []).length;
+
+// Cut text at a word boundary no longer than length, marking the cut with an ellipsis
+const truncate = (text, length) => {
+  if (text.length <= length) {
+    return text;
+  }
+  const space = text.lastIndexOf(' ', length - 1);
+  return `${text.slice(0, space > 0 ? space : length - 1).replace(/[\s,;:.–—-]+$/, '')}…`;
+};
+
+// Give every heading an id derived from its text ("Getting started" -> getting-started,
+// repeats get -2, -3, ...) and list the headings in document order. Existing ids are
+// replaced so anchors always match the outline.
+export const addHeadingAnchors = (html) => {
+  const outline = [];
+  const used = new Set();
+
+  const content = (html || '').replace(HEADING, (match, level, attributes, inner) => {
+    const text = stripHtml(inner);
+    if (!text) {
+      return match;
+    }
+
+    const base = slugify(text, { lower: true, strict: true }) || 'section';
+    let anchor = base;
+    for (let n = 2; used.has(anchor); n += 1) {
+      anchor = `${base}-${n}`;
+    }
+    used.add(anchor);
+
+    outline.push({ level: Number(level), text, anchor });
+    return `<h${level} id="${anchor}"${attributes.replace(ID_ATTRIBUTE, '')}>${inner}</h${level}>`;
+  });
+
+  return { content, outline };
+};
+
+// Word count, reading time in whole minutes (at least 1 for any text), heading
+// outline and a plain-text excerpt of sanitized HTML content. Returns the content
+// with heading anchors added alongside the figures.
+export const contentStats = (html) => {
+  const { content, outline } = addHeadingAnchors(html);
+  const wordCount = countWords(stripHtml(content));
+
+  // The excerpt reads from the body text; headings only when there is nothing else
+  const bodyText = stripHtml(content.replace(HEADING, ' ')) || stripHtml(content);
+
+  return {
+    content,
+    wordCount,
+    readingTime: wordCount > 0 ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0,
+    outline,
+    excerpt: truncate(bodyText, EXCERPT_LENGTH)
+  };
+};
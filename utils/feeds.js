@@ -0,0 +1,113 @@
+import { pageUrl } from '../config/sites.js';
+import { escapeXml, cdata } from './xml.js';
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+const publishedDate = (page) => page.publishedAt || page.createdAt;
+
+// <urlset> for a list of pages
+export const buildSitemap = (site, pages) => {
+  const urls = pages.map(page => [
+    '  <url>',
+    `    <loc>${escapeXml(pageUrl(site, page))}</loc>`,
+    page.updatedAt ? `    <lastmod>${page.updatedAt.toISOString()}</lastmod>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    XML_DECLARATION,
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>'
+  ].join('\n');
+};
+
+// <sitemapindex> pointing at the numbered sitemap files
+export const buildSitemapIndex = (entries) => {
+  const sitemaps = entries.map(entry => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    entry.lastmod ? `    <lastmod>${entry.lastmod.toISOString()}</lastmod>` : null,
+    '  </sitemap>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    XML_DECLARATION,
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps,
+    '</sitemapindex>'
+  ].join('\n');
+};
+
+// RSS 2.0 feed; feed is { title, description, link, selfUrl }
+export const buildRss = (site, feed, pages) => {
+  const items = pages.map((page) => {
+    const link = pageUrl(site, page);
+    return [
+      '    <item>',
+      `      <title>${escapeXml(page.title)}</title>`,
+      `      <link>${escapeXml(link)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(link)}</guid>`,
+      `      <pubDate>${publishedDate(page).toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(page.description)}</description>`,
+      `      <content:encoded>${cdata(page.content)}</content:encoded>`,
+      ...(page.groups || []).map(group => `      <category>${escapeXml(group)}</category>`),
+      page.thumbnailUrl ? `      <media:thumbnail url="${escapeXml(page.thumbnailUrl)}"/>` : null,
+      page.audioUrl ? `      <enclosure url="${escapeXml(page.audioUrl)}" length="0" type="audio/mpeg"/>` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    XML_DECLARATION,
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+// Atom 1.0 feed; feed is { title, description, link, selfUrl }
+export const buildAtom = (site, feed, pages) => {
+  const updated = pages.reduce(
+    (latest, page) => (page.updatedAt && page.updatedAt > latest ? page.updatedAt : latest),
+    new Date(0)
+  );
+
+  const entries = pages.map((page) => {
+    const link = pageUrl(site, page);
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(link)}</id>`,
+      `    <title>${escapeXml(page.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+      `    <published>${publishedDate(page).toISOString()}</published>`,
+      `    <updated>${(page.updatedAt || publishedDate(page)).toISOString()}</updated>`,
+      `    <summary>${escapeXml(page.description)}</summary>`,
+      `    <content type="html">${escapeXml(page.content)}</content>`,
+      ...(page.groups || []).map(group => `    <category term="${escapeXml(group)}"/>`),
+      page.thumbnailUrl ? `    <media:thumbnail url="${escapeXml(page.thumbnailUrl)}"/>` : null,
+      page.audioUrl ? `    <link rel="enclosure" type="audio/mpeg" href="${escapeXml(page.audioUrl)}"/>` : null,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    XML_DECLARATION,
+    '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <updated>${(pages.length > 0 ? updated : new Date()).toISOString()}</updated>`,
+    ...entries,
+    '</feed>'
+  ].join('\n');
+};
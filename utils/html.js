@@ -0,0 +1,62 @@
+// Named entities the editors emit; anything else numeric is decoded generically
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  copy: '©',
+  reg: '®'
+};
+
+// Block-level tags that should leave a word break behind when removed
+const BLOCK_TAGS = /<\/?(p|div|br|hr|h[1-6]|li|ul|ol|blockquote|pre|tr|td|th|table|section|article|header|footer|figure|figcaption)\b[^>]*>/gi;
+
+// Decode HTML entities into plain characters
+export const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+};
+
+// Escape text for safe inclusion in HTML
+export const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Reduce an HTML document to its readable text
+export const stripHtml = (html) => {
+  if (!html) {
+    return '';
+  }
+
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|template)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(BLOCK_TAGS, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/\s+/g, ' ')
+    .trim();
+};
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { getCacheConfig } from '../config/cache.js';
+
+// Fields a conditional GET needs from every document that goes into a response
+export const VALIDATOR_FIELDS = '_id version updatedAt';
+
+// Strong ETag and Last-Modified for a response built from the given documents.
+// The version catches edits; updatedAt also catches bookkeeping writes (trash,
+// cascades, schedule sync) that leave the version alone.
+export const cacheValidators = (docs, variant = '') => {
+  const hash = crypto.createHash('sha1').update(variant);
+  let lastModified = 0;
+
+  for (const doc of docs) {
+    const updatedAt = doc.updatedAt ? new Date(doc.updatedAt).getTime() : 0;
+    hash.update(`|${doc._id}:${doc.version ?? 0}:${updatedAt}`);
+    lastModified = Math.max(lastModified, updatedAt);
+  }
+
+  return {
+    etag: `"${hash.digest('base64url')}"`,
+    lastModified: lastModified ? new Date(lastModified) : null
+  };
+};
+
+// Set validators, Cache-Control and Surrogate-Key on a public read route, and
+// answer 304 when the client's copy is still current. Returns true when the
+// 304 was sent, so the caller can skip building the full payload.
+//   docs     documents (with VALIDATOR_FIELDS) the response is built from
+//   variant  anything else that shapes the response, e.g. the content format or a total
+//   keys     surrogate keys for CDN purges
+export const sendNotModified = (req, res, { docs, variant = '', keys = [] }) => {
+  const { maxAge, sMaxAge, staleWhileRevalidate } = getCacheConfig();
+  // Signed-in requests may see drafts, so they are never shared
+  const personal = Boolean(req.get('Authorization'));
+  const { etag, lastModified } = cacheValidators(docs, `${personal ? 'private' : 'public'} ${variant}`);
+
+  res.vary('Authorization');
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (personal) {
+    res.set('Cache-Control', 'private, no-cache');
+  } else {
+    res.set('Cache-Control', `public, max-age=${maxAge}, s-maxage=${sMaxAge}, stale-while-revalidate=${staleWhileRevalidate}`);
+    res.set('Surrogate-Key', [...new Set(keys)].join(' '));
+  }
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+// Purgers receive surrogate keys and the cache config. Add an entry to make
+// another CDN selectable with CACHE_PURGER.
+export const CACHE_PURGERS = {
+  none: async () => {},
+
+  webhook: async (keys, { purgeUrl, purgeToken }) => {
+    if (!purgeUrl) {
+      throw new Error('CACHE_PURGE_URL is not set');
+    }
+    await axios.post(purgeUrl, { keys }, {
+      timeout: 5000,
+      headers: purgeToken ? { Authorization: `Bearer ${purgeToken}` } : {}
+    });
+  },
+
+  fastly: async (keys, { fastlyServiceId, purgeToken }) => {
+    if (!fastlyServiceId || !purgeToken) {
+      throw new Error('FASTLY_SERVICE_ID and CACHE_PURGE_TOKEN are required');
+    }
+    await axios.post(`https://api.fastly.com/service/${fastlyServiceId}/purge`, null, {
+      timeout: 5000,
+      headers: {
+        'Fastly-Key': purgeToken,
+        'Surrogate-Key': keys.join(' ')
+      }
+    });
+  }
+};
+
+// Keys purged in the same tick are sent together, so a cascade over many
+// documents costs one request instead of one per document
+let pendingKeys = new Set();
+let pendingPurge = null;
+
+export const purgeSurrogateKeys = (keys) => {
+  const config = getCacheConfig();
+  const purger = CACHE_PURGERS[config.purger];
+  if (!purger) {
+    return Promise.reject(new Error(`Unknown cache purger: ${config.purger}`));
+  }
+  if (config.purger === 'none' || keys.length === 0) {
+    return Promise.resolve();
+  }
+
+  keys.forEach(key => pendingKeys.add(key));
+  if (!pendingPurge) {
+    pendingPurge = new Promise(resolve => setImmediate(resolve)).then(() => {
+      const batch = [...pendingKeys];
+      pendingKeys = new Set();
+      pendingPurge = null;
+      return purger(batch, config);
+    });
+  }
+  return pendingPurge;
+};
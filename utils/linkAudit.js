@@ -0,0 +1,433 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import Page from '../models/Page.js';
+import SlugRedirect from '../models/SlugRedirect.js';
+import { getSites } from '../config/sites.js';
+import { getLinkAuditConfig } from '../config/linkAudit.js';
+import { decodeEntities } from './html.js';
+import { fieldMediaUrls, parseCloudinaryUrl } from './media.js';
+
+// Outcome of checking one link
+//   ok         the target exists (pages must also be publicly visible)
+//   broken     the target is gone: missing or trashed page, deleted asset, 404/410 response
+//   warning    the target answers but the link should be fixed: renamed slug, page that is not public,
+//              or an error response other than 404/410
+//   unchecked  nothing could be concluded: offline fetcher, request without a response, unresolvable link
+export const LINK_STATUSES = ['ok', 'broken', 'warning', 'unchecked'];
+
+const LINK_ATTRIBUTE = /\b(href|src|poster)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const IGNORED_LINK = /^(#|mailto:|tel:|sms:|javascript:|data:|blob:)/i;
+const MEDIA_FIELDS = ['imageUrl', 'thumbnailUrl', 'audioUrl', 'seo.openGraph.image', 'seo.twitter.image'];
+
+// Fields the audit reads from each page
+export const AUDIT_FIELDS = 'title slug path status publishAt unpublishAt content fields seo imageUrl thumbnailUrl audioUrl';
+
+// Every link and media URL on a page, as { url, field, kind } where kind is "link" or "media"
+export const extractPageLinks = (page) => {
+  const links = [];
+  const add = (url, field, kind) => {
+    const value = typeof url === 'string' ? url.trim() : '';
+    if (value && !IGNORED_LINK.test(value)) {
+      links.push({ url: value, field, kind });
+    }
+  };
+
+  for (const field of MEDIA_FIELDS) {
+    add(page.get(field), field, 'media');
+  }
+  add(page.get('seo.canonicalUrl'), 'seo.canonicalUrl', 'link');
+
+  for (const match of (page.content || '').matchAll(LINK_ATTRIBUTE)) {
+    add(decodeEntities(match[2] ?? match[3]), 'content', match[1].toLowerCase() === 'href' ? 'link' : 'media');
+  }
+
+  for (const { url, field } of fieldMediaUrls(page.fields, 'fields')) {
+    add(url, field, parseCloudinaryUrl(url) ? 'media' : 'link');
+  }
+
+  const seen = new Set();
+  return links.filter(({ url, field }) => {
+    const key = `${field} ${url}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+// Regular expression matching a site's page URL pattern ("/{path}", "/blog/{slug}", ...)
+const sitePathPattern = (site) => {
+  const source = site.pagePath
+    .split(/(\{path\}|\{slug\})/)
+    .map(part => {
+      if (part === '{path}') {
+        return '(?<path>.+?)';
+      }
+      if (part === '{slug}') {
+        return '(?<slug>[^/]+?)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source.startsWith('/') ? '' : '/'}${source}/?$`);
+};
+
+// Page a URL path points at on one of the sites, as { path } or { slug }
+const matchPagePath = (pathname, sites) => {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+
+  for (const site of sites) {
+    const match = sitePathPattern(site).exec(decoded);
+    if (match) {
+      return match.groups.path !== undefined
+        ? { path: match.groups.path.toLowerCase() }
+        : { slug: match.groups.slug.toLowerCase() };
+    }
+  }
+  return null;
+};
+
+// Decide how a URL is checked:
+//   internal  a page on one of the sites, looked up in the database
+//   asset     a Cloudinary asset, looked up in the media library
+//   external  anything else reachable over http(s)
+//   unresolved  a relative link that does not match any page URL pattern
+export const classifyLink = (url, sites = getSites()) => {
+  const asset = parseCloudinaryUrl(url);
+  if (asset) {
+    return { type: 'asset', asset: { ...asset, url } };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.startsWith('//') ? `https:${url}` : url, 'relative:/');
+  } catch (error) {
+    return { type: 'unresolved', reason: 'Malformed URL' };
+  }
+
+  const isRelative = parsed.protocol === 'relative:';
+  if (!isRelative && !['http:', 'https:'].includes(parsed.protocol)) {
+    return { type: 'unresolved', reason: `Unsupported scheme ${parsed.protocol}` };
+  }
+
+  const ownSite = isRelative || sites.some(site => new URL(site.baseUrl).host === parsed.host);
+  if (ownSite) {
+    if (parsed.pathname === '/') {
+      return { type: 'internal', target: null };
+    }
+    const target = matchPagePath(parsed.pathname, sites);
+    if (target) {
+      return { type: 'internal', target };
+    }
+    if (isRelative) {
+      return { type: 'unresolved', reason: 'Relative link does not match any page URL' };
+    }
+  }
+
+  return { type: 'external' };
+};
+
+const internalKey = (target) => (target.path !== undefined ? `path:${target.path}` : `slug:${target.slug}`);
+const assetKey = (asset) => `${asset.cloudName}/${asset.resourceType}/${asset.publicId}`;
+
+const pageSummary = (page) => ({ _id: page._id, title: page.title, slug: page.slug, path: page.path || page.slug });
+
+// Look up every internal target at once. Returns Map<key, { status, reason?, target?, suggestion? }>
+const resolveInternalTargets = async (targets) => {
+  const results = new Map();
+  if (targets.length === 0) {
+    return results;
+  }
+
+  const paths = targets.filter(target => target.path !== undefined).map(target => target.path);
+  const slugs = targets.filter(target => target.slug !== undefined).map(target => target.slug);
+
+  const pages = await Page.find({ $or: [{ path: { $in: paths } }, { slug: { $in: slugs } }] })
+    .withTrashed()
+    .select('title slug path deletedAt');
+  const publicIds = new Set((await Page.find({
+    _id: { $in: pages.map(page => page._id) },
+    ...Page.publicFilter()
+  }).distinct('_id')).map(id => id.toString()));
+
+  // Renamed slugs are found by the last segment of the link
+  const lastSegment = (target) => (target.slug ?? target.path.split('/').pop());
+  const redirects = await SlugRedirect.find({ slug: { $in: targets.map(lastSegment) } })
+    .populate('page', 'title slug path');
+  const redirectsBySlug = new Map(redirects.filter(redirect => redirect.page).map(redirect => [redirect.slug, redirect.page]));
+
+  for (const target of targets) {
+    const matches = pages.filter(page => (target.path !== undefined
+      ? (page.path || page.slug) === target.path
+      : page.slug === target.slug));
+    const live = matches.filter(page => !page.deletedAt);
+    const visible = live.find(page => publicIds.has(page._id.toString()));
+
+    let result;
+    if (visible) {
+      result = { status: 'ok', target: pageSummary(visible) };
+    } else if (live.length > 0) {
+      result = { status: 'warning', reason: 'Page is not publicly visible', target: pageSummary(live[0]) };
+    } else if (redirectsBySlug.has(lastSegment(target))) {
+      const page = redirectsBySlug.get(lastSegment(target));
+      result = {
+        status: 'warning',
+        reason: 'Page slug was renamed; the link relies on a redirect',
+        target: pageSummary(page),
+        suggestion: page.path || page.slug
+      };
+    } else if (matches.length > 0) {
+      result = { status: 'broken', reason: 'Page is in the trash', target: pageSummary(matches[0]) };
+    } else {
+      result = { status: 'broken', reason: 'Page not found' };
+    }
+    results.set(internalKey(target), result);
+  }
+
+  return results;
+};
+
+// Turn a fetcher answer into a link outcome
+const fetchOutcome = (answer) => {
+  if (!answer) {
+    return { status: 'unchecked', reason: 'Not checked' };
+  }
+  if (answer.ok) {
+    return { status: 'ok', httpStatus: answer.status };
+  }
+  if (answer.status === 404 || answer.status === 410) {
+    return { status: 'broken', reason: answer.reason || `HTTP ${answer.status}`, httpStatus: answer.status };
+  }
+  if (answer.status) {
+    return { status: 'warning', reason: `HTTP ${answer.status}`, httpStatus: answer.status };
+  }
+  return { status: 'unchecked', reason: `Request failed: ${answer.error || 'no response'}` };
+};
+
+// Run fn over items with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Fetchers check what lives outside the database. Each has
+//   checkUrl(url)      for external links
+//   checkAsset(asset)  for Cloudinary assets ({ cloudName, resourceType, publicId, url })
+// and both resolve to { ok, status?, error?, reason? }, or null when the target was not checked.
+// Add an entry to LINK_FETCHERS to make another fetcher selectable by name.
+
+// Page content is written by editors, so the audit must not become a way to
+// probe the server's own network: loopback, private, link-local (including
+// cloud metadata at 169.254.169.254), shared, multicast and reserved ranges are refused
+const BLOCKED_ADDRESS = 'EADDRNOTPUBLIC';
+const NON_PUBLIC_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+export const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIPv4(ip) ? 'ipv4' : 'ipv6';
+  return net.isIP(ip) !== 0 && !NON_PUBLIC_RANGES.check(ip, family);
+};
+
+const notPublicError = (host) => Object.assign(new Error(`${host} is not a public address`), { code: BLOCKED_ADDRESS });
+
+// DNS lookup for the audit's sockets that refuses hosts resolving to non-public
+// addresses. Runs on every connection, so redirects and DNS changes between
+// requests are covered too.
+const publicLookup = (hostname, options, callback) => {
+  const lookupOptions = typeof options === 'object' ? options : { family: options };
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(notPublicError(hostname));
+    }
+    if (lookupOptions.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Hosts written as IP addresses never reach the lookup, so they are checked up front
+const assertPublicHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw notPublicError(host);
+  }
+};
+
+// Requests every URL; Cloudinary assets in this account are looked up through the Admin API
+const createHttpFetcher = ({ timeoutMs }) => {
+  const client = axios.create({
+    timeout: timeoutMs,
+    maxRedirects: 5,
+    validateStatus: () => true,
+    headers: { 'User-Agent': 'da-pages-link-audit/1.0' },
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup }),
+    beforeRedirect: (options) => assertPublicHost(options.hostname)
+  });
+
+  const checkUrl = async (url) => {
+    try {
+      assertPublicHost(new URL(url).hostname);
+      let response = await client.head(url);
+      // Some servers refuse HEAD; fall back to a GET and drop the body
+      if ([403, 405, 501].includes(response.status)) {
+        response = await client.get(url, { responseType: 'stream' });
+        response.data.destroy();
+      }
+      return { ok: response.status < 400, status: response.status };
+    } catch (error) {
+      // Redirect failures carry the refusal as their cause
+      if ([error.code, error.cause?.code].includes(BLOCKED_ADDRESS)) {
+        return { ok: false, error: 'the address is not public' };
+      }
+      return { ok: false, error: error.code || error.message };
+    }
+  };
+
+  const checkAsset = async (asset) => {
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    const apiKey = process.env.CLOUDINARY_API_KEY;
+    const apiSecret = process.env.CLOUDINARY_API_SECRET;
+
+    // Assets from other accounts, or without credentials, are checked by their delivery URL
+    if (!cloudName || !apiKey || !apiSecret || asset.cloudName !== cloudName) {
+      return checkUrl(asset.url);
+    }
+
+    try {
+      const publicId = asset.publicId.split('/').map(encodeURIComponent).join('/');
+      const response = await client.get(
+        `https://api.cloudinary.com/v1_1/${cloudName}/resources/${asset.resourceType}/upload/${publicId}`,
+        { auth: { username: apiKey, password: apiSecret } }
+      );
+      if (response.status === 404) {
+        return { ok: false, status: 404, reason: 'Asset not found in the media library' };
+      }
+      return { ok: response.status < 400, status: response.status };
+    } catch (error) {
+      return { ok: false, error: error.code || error.message };
+    }
+  };
+
+  return { checkUrl, checkAsset };
+};
+
+// Checks nothing, so audits run without network access
+const offlineFetcher = {
+  checkUrl: async () => null,
+  checkAsset: async () => null
+};
+
+export const LINK_FETCHERS = {
+  http: createHttpFetcher,
+  offline: () => offlineFetcher
+};
+
+// Fetcher by name, defaulting to LINK_AUDIT_FETCHER
+export const getLinkFetcher = (name) => {
+  const config = getLinkAuditConfig();
+  const factory = LINK_FETCHERS[name || config.fetcher];
+  if (!factory) {
+    throw new Error(`Unknown link audit fetcher: ${name || config.fetcher}`);
+  }
+  return factory(config);
+};
+
+const summarize = (links) => {
+  const summary = { total: links.length };
+  for (const status of LINK_STATUSES) {
+    summary[status] = links.filter(link => link.status === status).length;
+  }
+  return summary;
+};
+
+// Audit the links of the given pages (loaded with AUDIT_FIELDS).
+// Returns one report per page: { page, summary, links }
+export const auditPages = async (pages, { fetcher = getLinkFetcher() } = {}) => {
+  const sites = getSites();
+  const { concurrency } = getLinkAuditConfig();
+
+  const pageLinks = pages.map(page => extractPageLinks(page).map(link => ({ ...link, ...classifyLink(link.url, sites) })));
+  const allLinks = pageLinks.flat();
+
+  const internalTargets = new Map();
+  const externalUrls = new Set();
+  const assets = new Map();
+  for (const link of allLinks) {
+    if (link.type === 'internal' && link.target) {
+      internalTargets.set(internalKey(link.target), link.target);
+    } else if (link.type === 'external') {
+      externalUrls.add(link.url);
+    } else if (link.type === 'asset') {
+      assets.set(assetKey(link.asset), link.asset);
+    }
+  }
+
+  const internalResults = await resolveInternalTargets([...internalTargets.values()]);
+
+  const externalResults = new Map();
+  await mapWithConcurrency([...externalUrls], concurrency, async (url) => {
+    externalResults.set(url, fetchOutcome(await fetcher.checkUrl(url)));
+  });
+
+  const assetResults = new Map();
+  await mapWithConcurrency([...assets.entries()], concurrency, async ([key, asset]) => {
+    assetResults.set(key, fetchOutcome(await fetcher.checkAsset(asset)));
+  });
+
+  const checkedAt = new Date();
+  return pages.map((page, index) => {
+    const links = pageLinks[index].map(({ url, field, kind, type, target, asset, reason }) => {
+      let outcome;
+      if (type === 'internal') {
+        outcome = target ? internalResults.get(internalKey(target)) : { status: 'ok' };
+      } else if (type === 'external') {
+        outcome = externalResults.get(url);
+      } else if (type === 'asset') {
+        outcome = assetResults.get(assetKey(asset));
+      } else {
+        outcome = { status: 'unchecked', reason };
+      }
+      return { url, field, kind, type, ...outcome };
+    });
+
+    return {
+      page: { ...pageSummary(page), status: page.status },
+      checkedAt,
+      summary: summarize(links),
+      links
+    };
+  });
+};
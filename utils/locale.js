@@ -0,0 +1,52 @@
+import { getLocaleConfig } from '../config/locales.js';
+
+export const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// Parse an Accept-Language header into locales, most preferred first
+export const parseAcceptLanguage = (header) => {
+  if (!header) {
+    return [];
+  }
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { locale: tag.trim().toLowerCase(), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.locale && entry.locale !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.locale);
+};
+
+// Expand the requested locales into the ordered list of locales to try
+export const buildLocaleChain = (requested) => {
+  const { defaultLocale, fallbacks } = getLocaleConfig();
+  const chain = [];
+
+  const add = (locale) => {
+    if (locale && !chain.includes(locale)) {
+      chain.push(locale);
+    }
+  };
+
+  for (const locale of requested) {
+    add(locale);
+    (fallbacks[locale] || []).forEach(add);
+    const base = locale.split('-')[0];
+    if (base !== locale) {
+      add(base);
+      (fallbacks[base] || []).forEach(add);
+    }
+  }
+  add(defaultLocale);
+
+  return chain;
+};
+
+// Pick the first locale in the chain that has a variant available
+export const negotiateLocale = (requested, available) => {
+  return buildLocaleChain(requested).find(locale => available.includes(locale)) || null;
+};
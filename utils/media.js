@@ -0,0 +1,85 @@
+import { decodeEntities } from './html.js';
+
+export const MEDIA_SOURCE_TYPES = ['Page', 'Track', 'Playlist'];
+
+const CLOUDINARY_URL = /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/(image|video|raw)\/(?:upload|private|authenticated)\/(.+)$/i;
+// Transformation segments look like "w_300,h_200,c_fill" or "f_auto"
+const TRANSFORMATION_SEGMENT = /^[a-z]{1,3}_[^/]*$/;
+const VERSION_SEGMENT = /^v\d+$/;
+
+// Attributes that load media; links only count when they point at Cloudinary
+const MEDIA_ATTRIBUTE = /\b(src|poster|href)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+
+const isHttpUrl = (value) => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim());
+
+// Split a Cloudinary delivery URL into cloud name, resource type and public ID.
+// Returns null for anything else.
+export const parseCloudinaryUrl = (url) => {
+  const match = CLOUDINARY_URL.exec(String(url).split(/[?#]/)[0]);
+  if (!match) {
+    return null;
+  }
+
+  const [, cloudName, resourceType, rest] = match;
+  const segments = rest.split('/');
+  while (segments.length > 1 && TRANSFORMATION_SEGMENT.test(segments[0])) {
+    segments.shift();
+  }
+  if (segments.length > 1 && VERSION_SEGMENT.test(segments[0])) {
+    segments.shift();
+  }
+
+  let publicId = decodeURIComponent(segments.join('/'));
+  // Raw files keep their extension as part of the public ID
+  if (resourceType.toLowerCase() !== 'raw') {
+    publicId = publicId.replace(/\.[a-z0-9]+$/i, '');
+  }
+
+  return { cloudName, resourceType: resourceType.toLowerCase(), publicId };
+};
+
+// Media URLs referenced from HTML content
+export const contentMediaUrls = (html) => {
+  const urls = new Set();
+  for (const match of (html || '').matchAll(MEDIA_ATTRIBUTE)) {
+    const url = decodeEntities(match[2] ?? match[3]).trim();
+    if (!isHttpUrl(url)) {
+      continue;
+    }
+    if (match[1].toLowerCase() === 'href' && !parseCloudinaryUrl(url)) {
+      continue;
+    }
+    urls.add(url);
+  }
+  return [...urls];
+};
+
+// URL strings anywhere in template field data, with their field paths
+export const fieldMediaUrls = (value, path, found = []) => {
+  if (isHttpUrl(value)) {
+    found.push({ url: value.trim(), field: path });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => fieldMediaUrls(item, `${path}.${index}`, found));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      fieldMediaUrls(item, `${path}.${key}`, found);
+    }
+  }
+  return found;
+};
+
+const fromFields = (doc, fields) => fields
+  .map(field => ({ url: doc.get(field), field }))
+  .filter(({ url }) => isHttpUrl(url))
+  .map(({ url, field }) => ({ url: url.trim(), field }));
+
+// Every media URL a document uses, as { url, field } pairs
+export const MEDIA_EXTRACTORS = {
+  Page: (page) => [
+    ...fromFields(page, ['imageUrl', 'thumbnailUrl', 'audioUrl', 'seo.openGraph.image', 'seo.twitter.image']),
+    ...contentMediaUrls(page.content).map(url => ({ url, field: 'content' })),
+    ...fieldMediaUrls(page.fields, 'fields')
+  ],
+  Track: (track) => fromFields(track, ['thumbnail', 'audioUrl']),
+  Playlist: (playlist) => fromFields(playlist, ['thumbnail'])
+};
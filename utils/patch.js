@@ -0,0 +1,264 @@
+import { validationResult } from 'express-validator';
+
+// Partial updates for PATCH routes, in either of the two standard formats:
+//   JSON merge patch (RFC 7386)  an object; keys set to null are removed.
+//                                Sent as application/merge-patch+json, or application/json with an object
+//   JSON Patch (RFC 6902)        an array of add/remove/replace/move/copy/test operations.
+//                                Sent as application/json-patch+json, or application/json with an array
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+// Fields no patch may change on any resource
+const READ_ONLY_FIELDS = ['_id', '__v', 'version', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+// Keys that would reach into object prototypes
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && isEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+const checkKey = (key) => {
+  if (UNSAFE_KEYS.includes(key)) {
+    throw new Error(`"${key}" is not allowed`);
+  }
+};
+
+export const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    checkKey(key);
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+};
+
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`"${pointer}" is not a JSON pointer below the document root`);
+  }
+  return pointer.slice(1).split('/').map(token => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    checkKey(key);
+    return key;
+  });
+};
+
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+// Container holding the value at a pointer, and the value's key in it
+const locate = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  let container = document;
+  for (const token of tokens.slice(0, -1)) {
+    const exists = Array.isArray(container)
+      ? ARRAY_INDEX.test(token) && Number(token) < container.length
+      : isPlainObject(container) && Object.hasOwn(container, token);
+    if (!exists) {
+      throw new Error(`Path ${pointer} does not exist`);
+    }
+    container = container[token];
+  }
+  if (!Array.isArray(container) && !isPlainObject(container)) {
+    throw new Error(`Path ${pointer} does not exist`);
+  }
+  return { container, key: tokens[tokens.length - 1] };
+};
+
+const getValue = (document, pointer) => {
+  const { container, key } = locate(document, pointer);
+  const exists = Array.isArray(container)
+    ? ARRAY_INDEX.test(key) && Number(key) < container.length
+    : Object.hasOwn(container, key);
+  if (!exists) {
+    throw new Error(`Path ${pointer} does not exist`);
+  }
+  return container[key];
+};
+
+const addValue = (document, pointer, value) => {
+  const { container, key } = locate(document, pointer);
+  if (Array.isArray(container)) {
+    const index = key === '-' ? container.length : Number(key);
+    if ((key !== '-' && !ARRAY_INDEX.test(key)) || index > container.length) {
+      throw new Error(`Path ${pointer} is not a valid array position`);
+    }
+    container.splice(index, 0, value);
+  } else {
+    container[key] = value;
+  }
+};
+
+const removeValue = (document, pointer) => {
+  const value = getValue(document, pointer);
+  const { container, key } = locate(document, pointer);
+  if (Array.isArray(container)) {
+    container.splice(Number(key), 1);
+  } else {
+    delete container[key];
+  }
+  return value;
+};
+
+// Apply JSON Patch operations in order. Throws when an operation is malformed,
+// points at a missing path, or a test fails; the input document is not modified.
+export const applyJsonPatch = (document, operations) => {
+  const result = structuredClone(document);
+
+  operations.forEach((operation, index) => {
+    if (!isPlainObject(operation)) {
+      throw new Error(`Operation ${index} must be an object`);
+    }
+    const { op, path, from, value } = operation;
+    const needsValue = ['add', 'replace', 'test'].includes(op);
+    if (needsValue && !Object.hasOwn(operation, 'value')) {
+      throw new Error(`Operation ${index} (${op}) needs a value`);
+    }
+
+    switch (op) {
+      case 'add':
+        addValue(result, path, structuredClone(value));
+        break;
+      case 'remove':
+        removeValue(result, path);
+        break;
+      case 'replace':
+        removeValue(result, path);
+        addValue(result, path, structuredClone(value));
+        break;
+      case 'move': {
+        if (path.startsWith(`${from}/`)) {
+          throw new Error(`Operation ${index} cannot move ${from} into itself`);
+        }
+        addValue(result, path, removeValue(result, from));
+        break;
+      }
+      case 'copy':
+        addValue(result, path, structuredClone(getValue(result, from)));
+        break;
+      case 'test':
+        if (!isEqual(getValue(result, path), value)) {
+          throw new Error(`Test failed at ${path}`);
+        }
+        break;
+      default:
+        throw new Error(`Operation ${index} has unknown op "${op}"`);
+    }
+  });
+
+  return result;
+};
+
+// Top-level fields whose value differs between two documents
+const changedFields = (before, after) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+  .filter(field => !isEqual(before[field], after[field]));
+
+// Middleware for PATCH /:id routes. Applies the patch in the request body to the
+// stored document, validates the fields it changes with the resource's PUT rules
+// (run against the whole patched document, so rules that look at other fields
+// still work, but only errors in changed fields are reported), and replaces
+// req.body with the changed fields so the PUT handler can apply them.
+//   model     Mongoose model of the resource
+//   label     name used in messages, e.g. "Page"
+//   rules     express-validator rules of the PUT route
+//   readOnly  fields of this resource that are derived and never patched directly
+// A merge patch may carry the `version` it is based on, like a PUT body.
+// req.patchedDocument holds the whole document as patched.
+export const preparePatch = ({ model, label, rules, readOnly = [] }) => async (req, res, next) => {
+  try {
+    const current = await model.findById(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+    }
+
+    const isJsonPatch = req.is(JSON_PATCH_TYPE) || Array.isArray(req.body);
+    if (!isJsonPatch && !isPlainObject(req.body)) {
+      return res.status(415).json({
+        success: false,
+        message: `Send a JSON merge patch (${MERGE_PATCH_TYPE}) or a JSON Patch (${JSON_PATCH_TYPE})`
+      });
+    }
+    if (isJsonPatch && !Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A JSON Patch must be an array of operations'
+      });
+    }
+
+    const original = JSON.parse(JSON.stringify(current.toObject({ depopulate: true })));
+    const { version, ...mergePatch } = isJsonPatch ? {} : req.body;
+
+    let patched;
+    try {
+      patched = isJsonPatch ? applyJsonPatch(original, req.body) : applyMergePatch(original, mergePatch);
+    } catch (error) {
+      return res.status(isJsonPatch && error.message.startsWith('Test failed') ? 409 : 400).json({
+        success: false,
+        message: `Invalid patch: ${error.message}`
+      });
+    }
+
+    const changed = changedFields(original, patched);
+    const locked = changed.filter(field => READ_ONLY_FIELDS.includes(field) || readOnly.includes(field));
+    if (locked.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields cannot be changed: ${locked.join(', ')}`
+      });
+    }
+
+    const context = { body: patched, params: req.params, query: {}, headers: req.headers, cookies: {} };
+    for (const rule of rules) {
+      await rule.run(context);
+    }
+    const errors = validationResult(context)
+      .array()
+      .filter(error => changed.includes(String(error.path).split(/[.[]/)[0]));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    // Removed fields are cleared
+    req.body = Object.fromEntries(changed.map(field => [field, context.body[field] ?? null]));
+    if (version !== undefined) {
+      req.body.version = version;
+    }
+    req.patchedDocument = context.body;
+    next();
+  } catch (error) {
+    console.error(`Error preparing ${label.toLowerCase()} patch:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error applying ${label.toLowerCase()} patch`,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
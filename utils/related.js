@@ -0,0 +1,127 @@
+import Page from '../models/Page.js';
+import { getLocaleConfig } from '../config/locales.js';
+import { VALIDATOR_FIELDS } from './httpCache.js';
+
+// "Read next" recommendations for a page. Candidates are public pages in the
+// same locale that share a group with the page or match its text; each is scored
+// on three signals scaled to 0..1 and weighted:
+//   groups   share of the page's groups the candidate is in
+//   text     MongoDB text score against the page's title, description and most
+//            frequent content words, relative to the best match
+//   recency  halves every RECENCY_HALF_LIFE_DAYS since the candidate was published
+// Pages pinned by an admin (page.relatedPages) always come first, in their order.
+export const RELATED_WEIGHTS = { groups: 0.45, text: 0.4, recency: 0.15 };
+
+const RECENCY_HALF_LIFE_DAYS = 90;
+// Candidates each query contributes before ranking
+const CANDIDATE_LIMIT = 100;
+// Content words added to the text query, most frequent first
+const CONTENT_TERMS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields returned for each related page
+const CARD_FIELDS = `title slug path description imageUrl thumbnailUrl groups locale readingTime excerpt publishedAt createdAt ${VALIDATOR_FIELDS}`;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const words = (text) => (text || '').toLowerCase().match(WORD) || [];
+
+// Terms for the text query. Short words are left out; MongoDB drops its own
+// stop words and stems the rest.
+const queryTerms = (page, searchText) => {
+  const counts = new Map();
+  for (const word of words(searchText)) {
+    if (word.length > 3) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+  const frequent = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CONTENT_TERMS)
+    .map(([word]) => word);
+
+  return [...new Set([...words(page.title), ...words(page.description), ...frequent])]
+    .filter(word => word.length > 2);
+};
+
+const recencyScore = (doc, now) => {
+  const ageDays = Math.max(0, now - new Date(doc.publishedAt || doc.createdAt)) / DAY_MS;
+  return 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+// Up to `limit` related pages, pinned ones first, each with `pinned` and, for
+// computed ones, their `score`. Pinned pages are never cut by the limit.
+export const findRelatedPages = async (page, { limit = 5, now = new Date() } = {}) => {
+  const pinnedIds = (page.relatedPages || []).filter(id => !id.equals(page._id));
+  const pinnedDocs = pinnedIds.length > 0
+    ? await Page.find({ _id: { $in: pinnedIds }, ...Page.publicFilter(now) }).select(CARD_FIELDS)
+    : [];
+  const pinned = pinnedIds
+    .map(id => pinnedDocs.find(doc => doc._id.equals(id)))
+    .filter(Boolean);
+
+  const slots = limit - pinned.length;
+  if (slots <= 0) {
+    return pinned.map(doc => ({ ...doc.toObject(), pinned: true }));
+  }
+
+  // Pages saved before localization existed are in the default locale
+  const { defaultLocale } = getLocaleConfig();
+  const base = {
+    ...Page.publicFilter(now),
+    _id: { $nin: [page._id, ...pinnedIds] },
+    // Other language versions of the same page are not "read next"
+    translationGroup: { $ne: page.translationGroup || page._id },
+    locale: page.locale === defaultLocale ? { $in: [page.locale, null] } : page.locale
+  };
+
+  const groups = page.groups || [];
+  const groupHits = groups.length > 0
+    ? await Page.find({ ...base, groups: { $in: groups } })
+      .select(CARD_FIELDS)
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+    : [];
+
+  // searchText is only loaded when asked for
+  const searchText = page.searchText ?? (await Page.findById(page._id).select('+searchText'))?.searchText;
+  const terms = queryTerms(page, searchText);
+  const textHits = terms.length > 0
+    ? await Page.find({ ...base, $text: { $search: terms.join(' ') } })
+      .select({ score: { $meta: 'textScore' } })
+      .select(CARD_FIELDS)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(CANDIDATE_LIMIT)
+    : [];
+
+  const candidates = new Map();
+  for (const doc of [...groupHits, ...textHits]) {
+    candidates.set(doc._id.toString(), doc);
+  }
+  const textScores = new Map(textHits.map(doc => [doc._id.toString(), doc.get('score')]));
+  const bestTextScore = Math.max(0, ...textScores.values());
+
+  const ranked = [...candidates.entries()]
+    .map(([id, doc]) => {
+      const shared = doc.groups.filter(group => groups.includes(group)).length;
+      const signals = {
+        groups: groups.length > 0 ? shared / groups.length : 0,
+        text: bestTextScore > 0 ? (textScores.get(id) || 0) / bestTextScore : 0,
+        recency: recencyScore(doc, now)
+      };
+      const score = Object.entries(RELATED_WEIGHTS)
+        .reduce((total, [signal, weight]) => total + weight * signals[signal], 0);
+      return { doc, score: Math.round(score * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score || b.doc.createdAt - a.doc.createdAt)
+    .slice(0, slots);
+
+  return [
+    ...pinned.map(doc => ({ ...doc.toObject(), pinned: true })),
+    ...ranked.map(({ doc, score }) => {
+      const card = doc.toObject();
+      delete card.score;
+      return { ...card, pinned: false, score };
+    })
+  ];
+};
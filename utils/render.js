@@ -0,0 +1,61 @@
+import { QuillDeltaToHtmlConverter } from 'quill-delta-to-html';
+import TurndownService from 'turndown';
+import { stripHtml } from './html.js';
+
+export const CONTENT_FORMATS = ['html', 'delta', 'markdown', 'text'];
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-'
+});
+
+// Check that a value has the shape of a Quill Delta document
+export const isDelta = (value) => {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.ops)) {
+    return false;
+  }
+  return value.ops.every(op => (
+    op && typeof op === 'object' &&
+    (typeof op.insert === 'string' || (op.insert && typeof op.insert === 'object')) &&
+    (op.attributes === undefined || (op.attributes && typeof op.attributes === 'object'))
+  ));
+};
+
+// Render a Quill Delta to the same HTML Quill itself produces
+export const deltaToHtml = (delta) => {
+  const converter = new QuillDeltaToHtmlConverter(delta.ops, {
+    inlineStyles: false,
+    multiLineParagraph: false,
+    linkTarget: ''
+  });
+  return converter.convert();
+};
+
+export const htmlToMarkdown = (html) => turndown.turndown(html || '');
+
+// Plain text straight from the Delta inserts; embeds (images, video) are skipped
+export const deltaToText = (delta) => {
+  return delta.ops
+    .map(op => (typeof op.insert === 'string' ? op.insert : ''))
+    .join('')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+};
+
+// Produce the requested representation of a page's content.
+// Returns null for 'delta' when the page was not stored as a Delta.
+// Only quill pages have a Delta that matches their content.
+export const renderContent = (page, format = 'html') => {
+  const delta = page.editorType === 'quill' ? page.delta : null;
+  switch (format) {
+    case 'delta':
+      return delta || null;
+    case 'markdown':
+      return htmlToMarkdown(page.content);
+    case 'text':
+      return delta ? deltaToText(delta) : stripHtml(page.content);
+    default:
+      return page.content;
+  }
+};
@@ -0,0 +1,149 @@
+import sanitizeHtml from 'sanitize-html';
+import { getSanitizeOptions } from '../config/sanitize.js';
+
+// Tags sanitize-html drops together with their contents
+const NON_TEXT_TAGS = ['script', 'style', 'textarea', 'option', 'noscript'];
+
+// Turn an allow-list entry such as 'ql-indent-*' or 'data-*' into a matcher
+const matchesEntry = (entry, value) => {
+  if (entry instanceof RegExp) {
+    return entry.test(value);
+  }
+  if (entry.endsWith('*')) {
+    return value.startsWith(entry.slice(0, -1));
+  }
+  return entry === value;
+};
+
+const isListed = (list, value) => (list || []).some(entry => matchesEntry(entry, value));
+
+const urlScheme = (value) => {
+  const match = String(value).trim().toLowerCase().match(/^([a-z][a-z0-9+.-]*):/);
+  return match ? match[1] : null;
+};
+
+// Work out, for one opening tag, which parts sanitize-html is going to drop
+const inspectTag = (name, attribs, options) => {
+  const findings = [];
+
+  if (!options.allowedTags.includes(name)) {
+    findings.push({
+      type: 'tag',
+      tag: name,
+      reason: NON_TEXT_TAGS.includes(name)
+        ? 'Tag is not allowed; its contents were removed too'
+        : 'Tag is not allowed; its contents were kept'
+    });
+    return findings;
+  }
+
+  const allowedAttributes = [
+    ...(options.allowedAttributes[name] || []),
+    ...(options.allowedAttributes['*'] || [])
+  ];
+
+  for (const [attribute, value] of Object.entries(attribs)) {
+    if (!isListed(allowedAttributes, attribute)) {
+      findings.push({
+        type: 'attribute',
+        tag: name,
+        attribute,
+        reason: attribute.startsWith('on') ? 'Event handler attributes are not allowed' : 'Attribute is not allowed'
+      });
+      continue;
+    }
+
+    if (['href', 'src'].includes(attribute)) {
+      const scheme = urlScheme(value);
+      const schemes = options.allowedSchemesByTag[name] || options.allowedSchemes;
+      if (scheme && !schemes.includes(scheme)) {
+        findings.push({ type: 'attribute', tag: name, attribute, reason: `URL scheme "${scheme}:" is not allowed` });
+      } else if (name === 'iframe' && attribute === 'src') {
+        let hostname = null;
+        try {
+          hostname = new URL(value).hostname;
+        } catch (error) {
+          // Relative or malformed iframe sources are dropped below
+        }
+        if (!hostname || !options.allowedIframeHostnames.includes(hostname)) {
+          findings.push({ type: 'attribute', tag: name, attribute, reason: 'Embedded content from this host is not allowed' });
+        }
+      }
+    }
+
+    if (attribute === 'class') {
+      const allowedClasses = [
+        ...(options.allowedClasses[name] || []),
+        ...(options.allowedClasses['*'] || [])
+      ];
+      for (const className of String(value).split(/\s+/).filter(Boolean)) {
+        if (!isListed(allowedClasses, className)) {
+          findings.push({ type: 'class', tag: name, class: className, reason: 'Class is not allowed' });
+        }
+      }
+    }
+
+    if (attribute === 'style') {
+      const allowedStyles = {
+        ...(options.allowedStyles['*'] || {}),
+        ...(options.allowedStyles[name] || {})
+      };
+      for (const declaration of String(value).split(';')) {
+        const [property, ...rest] = declaration.split(':');
+        const propertyName = property.trim().toLowerCase();
+        const propertyValue = rest.join(':').trim();
+        if (!propertyName) {
+          continue;
+        }
+        const patterns = allowedStyles[propertyName];
+        if (!patterns || !patterns.some(pattern => pattern.test(propertyValue))) {
+          findings.push({ type: 'style', tag: name, property: propertyName, reason: 'Style is not allowed' });
+        }
+      }
+    }
+  }
+
+  return findings;
+};
+
+// Sanitize page content against the allow-list for its editor type
+export const sanitizeContent = (html, editorType) => {
+  if (!html) {
+    return html;
+  }
+  return sanitizeHtml(html, getSanitizeOptions(editorType));
+};
+
+// Sanitize without saving anything and describe what was stripped
+export const sanitizeReport = (html, editorType) => {
+  const options = getSanitizeOptions(editorType);
+  const findings = [];
+
+  const content = sanitizeHtml(html || '', {
+    ...options,
+    onOpenTag: (name, attribs) => {
+      findings.push(...inspectTag(name, attribs, options));
+    }
+  });
+
+  // Collapse repeated findings into counts
+  const removed = [];
+  const byKey = new Map();
+  for (const finding of findings) {
+    const key = JSON.stringify(finding);
+    if (byKey.has(key)) {
+      byKey.get(key).count++;
+    } else {
+      const entry = { ...finding, count: 1 };
+      byKey.set(key, entry);
+      removed.push(entry);
+    }
+  }
+
+  return {
+    editorType,
+    changed: content !== (html || ''),
+    content,
+    removed
+  };
+};
@@ -0,0 +1,58 @@
+import { escapeHtml } from './html.js';
+
+const SNIPPET_LENGTH = 160;
+
+// Escape regex metacharacters so user input only ever matches literally
+export const escapeRegExp = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Split a search query into the plain terms worth highlighting
+export const extractTerms = (search) => {
+  return String(search)
+    .split(/\s+/)
+    .map(term => term.replace(/^[-"]+|"+$/g, ''))
+    .filter(term => term.length > 1);
+};
+
+// Build a short HTML-safe excerpt around the first match, with every
+// occurrence of the search terms wrapped in <mark>
+export const buildSnippet = (text, search, length = SNIPPET_LENGTH) => {
+  if (!text) {
+    return '';
+  }
+
+  const terms = extractTerms(search);
+  if (terms.length === 0) {
+    return escapeHtml(text.slice(0, length));
+  }
+
+  const matcher = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  const firstMatch = text.search(matcher);
+
+  let start = 0;
+  if (firstMatch > length / 3) {
+    start = firstMatch - Math.floor(length / 3);
+    // Avoid starting mid-word
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < firstMatch) {
+      start = space + 1;
+    }
+  }
+
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) {
+      end = space;
+    }
+  }
+
+  // Match on the raw text and escape each piece, so terms never match inside entities
+  const excerpt = text.slice(start, end)
+    .split(matcher)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+};
@@ -0,0 +1,130 @@
+import { pageUrl } from '../config/sites.js';
+import { escapeHtml } from './html.js';
+
+export const SEO_LIMITS = {
+  metaTitle: 70,
+  metaDescription: 160,
+  headline: 110
+};
+
+// Shorten text to a limit on a word boundary, marking the cut with an ellipsis
+const truncate = (text, limit) => {
+  if (!text || text.length <= limit) {
+    return text || '';
+  }
+  const cut = text.slice(0, limit - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > limit / 2 ? cut.slice(0, space) : cut).trimEnd()}…`;
+};
+
+// Open Graph locales are language_TERRITORY ("pt-br" -> "pt_BR"); script and
+// variant subtags have no place there and are dropped
+export const openGraphLocale = (locale) => {
+  if (!locale) {
+    return locale;
+  }
+  const [language, ...subtags] = locale.split(/[-_]/);
+  const territory = subtags.find(subtag => /^([a-z]{2}|\d{3})$/i.test(subtag));
+  return territory ? `${language.toLowerCase()}_${territory.toUpperCase()}` : language.toLowerCase();
+};
+
+// Resolve every SEO value for a page, falling back to its regular fields
+export const resolveSeo = (page, site) => {
+  const seo = page.seo || {};
+  const openGraph = seo.openGraph || {};
+  const twitter = seo.twitter || {};
+
+  const title = seo.metaTitle || truncate(page.title, SEO_LIMITS.metaTitle);
+  const description = seo.metaDescription || truncate(page.description, SEO_LIMITS.metaDescription);
+  const canonicalUrl = seo.canonicalUrl || pageUrl(site, page);
+  const image = openGraph.image || page.imageUrl;
+
+  return {
+    title,
+    description,
+    canonicalUrl,
+    robots: `${seo.noindex ? 'noindex' : 'index'}, ${seo.nofollow ? 'nofollow' : 'follow'}`,
+    openGraph: {
+      title: openGraph.title || title,
+      description: openGraph.description || description,
+      image,
+      type: openGraph.type || 'article',
+      url: canonicalUrl,
+      siteName: site.title,
+      locale: openGraphLocale(page.locale)
+    },
+    twitter: {
+      card: twitter.card || (image ? 'summary_large_image' : 'summary'),
+      title: twitter.title || openGraph.title || title,
+      description: twitter.description || openGraph.description || description,
+      image: twitter.image || image,
+      site: twitter.site
+    }
+  };
+};
+
+// schema.org Article structured data
+export const buildArticleJsonLd = (page, site, seo) => {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: truncate(page.title, SEO_LIMITS.headline),
+    description: seo.description,
+    image: [page.imageUrl, page.thumbnailUrl].filter(Boolean),
+    datePublished: (page.publishedAt || page.createdAt)?.toISOString(),
+    dateModified: page.updatedAt?.toISOString(),
+    inLanguage: page.locale,
+    mainEntityOfPage: {
+      '@type': 'WebPage',
+      '@id': seo.canonicalUrl
+    },
+    publisher: {
+      '@type': 'Organization',
+      name: site.title,
+      url: site.baseUrl
+    }
+  };
+};
+
+// Head tags as data, in render order
+export const buildHeadTags = (seo, jsonLd) => {
+  const meta = (attribute, key, content) => (
+    content ? { tag: 'meta', attributes: { [attribute]: key, content } } : null
+  );
+
+  return [
+    { tag: 'title', content: seo.title },
+    meta('name', 'description', seo.description),
+    meta('name', 'robots', seo.robots),
+    { tag: 'link', attributes: { rel: 'canonical', href: seo.canonicalUrl } },
+    meta('property', 'og:title', seo.openGraph.title),
+    meta('property', 'og:description', seo.openGraph.description),
+    meta('property', 'og:image', seo.openGraph.image),
+    meta('property', 'og:type', seo.openGraph.type),
+    meta('property', 'og:url', seo.openGraph.url),
+    meta('property', 'og:site_name', seo.openGraph.siteName),
+    meta('property', 'og:locale', seo.openGraph.locale),
+    meta('name', 'twitter:card', seo.twitter.card),
+    meta('name', 'twitter:title', seo.twitter.title),
+    meta('name', 'twitter:description', seo.twitter.description),
+    meta('name', 'twitter:image', seo.twitter.image),
+    meta('name', 'twitter:site', seo.twitter.site),
+    { tag: 'script', attributes: { type: 'application/ld+json' }, content: JSON.stringify(jsonLd) }
+  ].filter(Boolean);
+};
+
+// Serialize head tags to HTML
+export const renderHeadTags = (tags) => {
+  return tags.map(({ tag, attributes = {}, content }) => {
+    const attrs = Object.entries(attributes)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+
+    if (tag === 'meta' || tag === 'link') {
+      return `<${tag}${attrs}>`;
+    }
+    // JSON-LD is not HTML-escaped, but must not be able to close its script tag
+    const body = tag === 'script' ? content.replace(/</g, '\\u003c') : escapeHtml(content);
+    return `<${tag}${attrs}>${body}</${tag}>`;
+  }).join('\n');
+};
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import validator from 'validator';
+import Track from '../models/Track.js';
+import { sanitizeContent } from './sanitize.js';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Check a single value against its field definition. Returns the normalized
+// value, or throws an Error describing the problem.
+const coerceValue = (field, value, editorType, trackIds) => {
+  switch (field.type) {
+    case 'text': {
+      if (typeof value !== 'string') {
+        throw new Error('must be a string');
+      }
+      const text = value.trim();
+      if (field.maxLength && text.length > field.maxLength) {
+        throw new Error(`cannot be more than ${field.maxLength} characters`);
+      }
+      return text;
+    }
+    case 'richText': {
+      if (typeof value !== 'string') {
+        throw new Error('must be an HTML string');
+      }
+      return sanitizeContent(value, editorType);
+    }
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error('must be a number');
+      }
+      if (field.min !== undefined && field.min !== null && number < field.min) {
+        throw new Error(`must be at least ${field.min}`);
+      }
+      if (field.max !== undefined && field.max !== null && number > field.max) {
+        throw new Error(`must be at most ${field.max}`);
+      }
+      return number;
+    }
+    case 'date': {
+      if (typeof value !== 'string' || !validator.isISO8601(value)) {
+        throw new Error('must be a valid ISO 8601 date');
+      }
+      const date = new Date(value);
+      if (field.min && date < new Date(field.min)) {
+        throw new Error(`must not be before ${field.min}`);
+      }
+      if (field.max && date > new Date(field.max)) {
+        throw new Error(`must not be after ${field.max}`);
+      }
+      return date;
+    }
+    case 'image': {
+      if (typeof value !== 'string' || !validator.isURL(value.trim())) {
+        throw new Error('must be a valid URL');
+      }
+      return value.trim();
+    }
+    case 'track': {
+      if (!mongoose.isValidObjectId(value)) {
+        throw new Error('must be a track ID');
+      }
+      trackIds.add(String(value));
+      return String(value);
+    }
+    default:
+      throw new Error(`has unsupported type ${field.type}`);
+  }
+};
+
+// Validate a set of field values against field definitions, collecting
+// errors in the same shape express-validator reports them
+const validateFields = (fields, data, pathPrefix, editorType, trackIds, errors) => {
+  const result = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push({ type: 'field', location: 'body', path: pathPrefix, msg: 'Fields must be an object' });
+    return result;
+  }
+
+  const known = new Set(fields.map(field => field.key));
+  for (const key of Object.keys(data)) {
+    if (!known.has(key)) {
+      errors.push({ type: 'field', location: 'body', path: `${pathPrefix}.${key}`, msg: `Unknown field ${key}` });
+    }
+  }
+
+  for (const field of fields) {
+    const path = `${pathPrefix}.${field.key}`;
+    const label = field.label || field.key;
+    const value = data[field.key];
+
+    if (isEmpty(value) || (field.type === 'list' && Array.isArray(value) && value.length === 0)) {
+      if (field.required) {
+        errors.push({ type: 'field', location: 'body', path, msg: `${label} is required` });
+      }
+      continue;
+    }
+
+    if (field.type === 'list') {
+      if (!Array.isArray(value)) {
+        errors.push({ type: 'field', location: 'body', path, msg: `${label} must be a list` });
+        continue;
+      }
+      if (field.minItems && value.length < field.minItems) {
+        errors.push({ type: 'field', location: 'body', path, msg: `${label} needs at least ${field.minItems} items` });
+      }
+      if (field.maxItems && value.length > field.maxItems) {
+        errors.push({ type: 'field', location: 'body', path, msg: `${label} cannot have more than ${field.maxItems} items` });
+      }
+      result[field.key] = value.map((item, index) => (
+        validateFields(field.itemFields || [], item, `${path}[${index}]`, editorType, trackIds, errors)
+      ));
+      continue;
+    }
+
+    try {
+      result[field.key] = coerceValue(field, value, editorType, trackIds);
+    } catch (error) {
+      errors.push({ type: 'field', location: 'body', path, value, msg: `${label} ${error.message}` });
+    }
+  }
+
+  return result;
+};
+
+// Validate page field data against a template. Resolves to the normalized
+// data and a list of errors (empty when the data is valid).
+export const validateTemplateData = async (template, data, editorType) => {
+  const errors = [];
+  const trackIds = new Set();
+
+  const fields = validateFields(template.fields, data || {}, 'fields', editorType, trackIds, errors);
+
+  if (trackIds.size > 0) {
+    const tracks = await Track.find({ _id: { $in: [...trackIds] } }).select('_id');
+    const found = new Set(tracks.map(track => track._id.toString()));
+    const missing = [...trackIds].filter(id => !found.has(id));
+    if (missing.length > 0) {
+      errors.push({ type: 'field', location: 'body', path: 'fields', msg: `Unknown tracks: ${missing.join(', ')}` });
+    }
+  }
+
+  return { fields, errors };
+};
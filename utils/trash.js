@@ -0,0 +1,165 @@
+import { runInTransaction } from '../config/database.js';
+import Page from '../models/Page.js';
+import PageRevision from '../models/PageRevision.js';
+import PageViewStat from '../models/PageViewStat.js';
+import Playlist from '../models/Playlist.js';
+import PreviewToken from '../models/PreviewToken.js';
+import SlugRedirect from '../models/SlugRedirect.js';
+import Track from '../models/Track.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPurge = 0;
+
+// Days an item stays in the trash before it is purged for good
+export const trashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+export const purgeDateFor = (item) => new Date(item.deletedAt.getTime() + trashRetentionDays() * DAY_MS);
+
+// Link edits are bookkeeping writes, made with updateMany so they leave playlist
+// versions alone (models/plugins/versioning.js); trackCount is recomputed in place
+const syncTrackCounts = (playlistIds) => Playlist.updateMany(
+  { _id: { $in: playlistIds } },
+  [{ $set: { trackCount: { $size: '$tracks' } } }]
+).withTrashed();
+
+const pullTrackFromPlaylists = async (trackId, playlistIds) => {
+  await Playlist.updateMany({ _id: { $in: playlistIds } }, { $pull: { tracks: trackId } }).withTrashed();
+  await syncTrackCounts(playlistIds);
+};
+
+const idsOf = (docs) => docs.map(doc => doc._id);
+
+// How each trashable resource is moved to the trash, restored and purged.
+// Trashing unlinks an item from the live items around it but keeps its own
+// references, which restore uses to link it back up.
+export const TRASH_RESOURCES = {
+  pages: {
+    model: Page,
+    label: 'Page',
+    listFields: 'title slug path locale status deletedAt deletedBy',
+
+    // Children are moved up to the page's parent; the route refuses otherwise.
+    // Reparenting is bookkeeping, so it leaves the children's versions alone.
+    async trash(page, userId) {
+      await runInTransaction(async () => {
+        await page.moveToTrash(userId);
+
+        const children = await Page.find({ parent: page._id }).select('slug');
+        for (const child of children) {
+          const placement = await Page.resolvePlacement(page.parent, child.slug)
+            || await Page.resolvePlacement(null, child.slug);
+          await Page.updateOne({ _id: child._id }, { $set: placement });
+          await Page.updateDescendants(await Page.findById(child._id).select('slug path ancestors'));
+        }
+      });
+    },
+
+    // Back under its old parent if that is still live, otherwise at the root
+    async restore(page) {
+      await runInTransaction(async () => {
+        const placement = await Page.resolvePlacement(page.parent, page.slug)
+          || await Page.resolvePlacement(null, page.slug);
+        await page.restoreFromTrash(placement);
+      });
+    },
+
+    async purge(page) {
+      await Promise.all([
+        PageRevision.deleteMany({ page: page._id }),
+        SlugRedirect.deleteMany({ page: page._id }),
+        PageViewStat.deleteMany({ page: page._id }),
+        PreviewToken.deleteMany({ page: page._id })
+      ]);
+      // Pins are bookkeeping too, so the pages that pinned this one keep their versions
+      await Page.updateMany({ relatedPages: page._id }, { $pull: { relatedPages: page._id } }).withTrashed();
+      await Page.deleteOne({ _id: page._id });
+    }
+  },
+
+  tracks: {
+    model: Track,
+    label: 'Track',
+    listFields: 'title author category thumbnail playlists deletedAt deletedBy',
+
+    async trash(track, userId) {
+      await runInTransaction(async () => {
+        await track.moveToTrash(userId);
+        await pullTrackFromPlaylists(track._id, idsOf(await Playlist.find({ tracks: track._id }).select('_id')));
+      });
+    },
+
+    // Rejoin the playlists that are still live; trashed ones re-add the track when they are restored
+    async restore(track) {
+      await runInTransaction(async () => {
+        const playlistIds = idsOf(await Playlist.find({ _id: { $in: track.playlists || [] } }).select('_id'));
+        await Playlist.updateMany({ _id: { $in: playlistIds } }, { $addToSet: { tracks: track._id } });
+        await syncTrackCounts(playlistIds);
+        await track.restoreFromTrash({ playlists: playlistIds });
+      });
+    },
+
+    async purge(track) {
+      const playlistIds = idsOf(await Playlist.find({ tracks: track._id }).select('_id').withTrashed());
+      await pullTrackFromPlaylists(track._id, playlistIds);
+      await Track.deleteOne({ _id: track._id });
+    }
+  },
+
+  playlists: {
+    model: Playlist,
+    label: 'Playlist',
+    listFields: 'title createdBy trackCount thumbnail deletedAt deletedBy',
+
+    async trash(playlist, userId) {
+      await runInTransaction(async () => {
+        await playlist.moveToTrash(userId);
+        await Track.updateMany({ playlists: playlist._id }, { $pull: { playlists: playlist._id } });
+      });
+    },
+
+    // Keep the tracks that are still live and link them back to the playlist
+    async restore(playlist) {
+      await runInTransaction(async () => {
+        const trackIds = idsOf(await Track.find({ _id: { $in: playlist.tracks } }).select('_id'));
+        await Track.updateMany({ _id: { $in: trackIds } }, { $addToSet: { playlists: playlist._id } });
+        await playlist.restoreFromTrash({ tracks: trackIds, trackCount: trackIds.length });
+      });
+    },
+
+    async purge(playlist) {
+      await Track.updateMany({ playlists: playlist._id }, { $pull: { playlists: playlist._id } }).withTrashed();
+      await Playlist.deleteOne({ _id: playlist._id });
+    }
+  }
+};
+
+// Permanently remove everything that has outlived the retention period
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - trashRetentionDays() * DAY_MS);
+  const purged = {};
+
+  for (const [resource, { model, purge }] of Object.entries(TRASH_RESOURCES)) {
+    const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+    for (const item of expired) {
+      await purge(item);
+    }
+    purged[resource] = expired.length;
+  }
+
+  lastPurge = now.getTime();
+  return purged;
+};
+
+// Serverless deployments have no scheduler, so the purge piggybacks on trash
+// requests at most once an hour
+export const purgeExpiredTrashIfDue = () => {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) {
+    return Promise.resolve(null);
+  }
+  lastPurge = Date.now();
+  return purgeExpiredTrash().catch((error) => {
+    console.error('Error purging expired trash:', error);
+    return null;
+  });
+};
@@ -0,0 +1,14 @@
+// Escape text for use in XML element content and attribute values
+export const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Wrap markup in a CDATA section, splitting any "]]>" it contains
+export const cdata = (value) => {
+  return `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+};